@@ -5,10 +5,18 @@ const mongoose = require('mongoose');
 const healthCheck = require('./controllers/healthchecks');
 const logger = require('./middleware/logger');
 const cors = require('cors');
-const axios = require('axios');
 // No longer need to import jwtauth here
 const apiRoutes = require('./routes/api.routes');
 const userRoutes = require('./routes/user.routes');
+const { markInterruptedRuns } = require('./services/etl.service');
+const { seedDefaultDatasets } = require('./services/datasetRegistry.service');
+const { markInterruptedReanalyses } = require('./services/sentiment.service');
+const { seedDefaultLexicon, refreshLexicon } = require('./services/sentimentLexicon.service');
+const { markInterruptedRetags } = require('./services/newsTagging.service');
+const { backfillDedupKeys } = require('./services/news.service');
+const { markInterruptedForecasts } = require('./services/forecastBatch.service');
+const { markInterruptedTaxonomyJobs } = require('./services/gesTaxonomy.service');
+const { startScheduler } = require('./services/etlScheduler.service');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -19,8 +27,32 @@ if (!MONGO_URI) {
     console.error('FATAL ERROR: MONGO_URI is not defined in the .env file.');
     process.exit(1);
 }
+// Startup housekeeping the server can run without: a failure is logged and startup
+// carries on, so one bad article or index error can't turn into a crash loop.
+const bestEffort = (label, task) => () =>
+  Promise.resolve()
+    .then(task)
+    .catch(err => console.error(`⚠️ ${label} failed, continuing startup:`, err));
+
 mongoose.connect(MONGO_URI)
-  .then(() => console.log('✅ MongoDB connection successful.'))
+  .then(() => {
+    console.log('✅ MongoDB connection successful.');
+    // The dataset registry and the ETL scheduler are required; everything else is best-effort.
+    return seedDefaultDatasets()
+      // Background jobs live in memory, so any left running by the last process will never finish.
+      .then(bestEffort('Marking interrupted ETL runs', markInterruptedRuns))
+      .then(bestEffort('Marking interrupted sentiment jobs', markInterruptedReanalyses))
+      .then(bestEffort('Marking interrupted tagging jobs', markInterruptedRetags))
+      .then(bestEffort('Marking interrupted forecast jobs', markInterruptedForecasts))
+      .then(bestEffort('Marking interrupted taxonomy jobs', markInterruptedTaxonomyJobs))
+      .then(bestEffort('Backfilling news dedup keys', backfillDedupKeys))
+      .then(bestEffort('Seeding the sentiment lexicon', () => seedDefaultLexicon().then(refreshLexicon)))
+      .then(startScheduler)
+      .catch(err => {
+        console.error('❌ Required startup tasks (dataset registry, ETL scheduler) failed:', err);
+        process.exit(1);
+      });
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
     process.exit(1);
@@ -31,8 +63,8 @@ app.use(express.json());
 app.use(logger);
 app.use(cors({
   origin: ['https://wad2-proj.vercel.app', 'http://localhost:5173'],
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
 // --- ROUTES ---
@@ -41,26 +73,6 @@ app.use('/users', userRoutes);
 app.use('/api', apiRoutes);
 
 
-// Data.sg CORS issue fix
-const datasetId = 'd_688b934f82c1059ed0a6993d2a829089';
-const apiUrl = `https://data.gov.sg/api/action/datastore_search?resource_id=${datasetId}&limit=500`;
-
-app.get('/api/fetch-schools', async (req, res) => {
-  try {
-    const response = await axios.get(apiUrl); 
-    if (response.data && response.data.result && Array.isArray(response.data.result.records)) {
-      console.log('✅ Success! Received records:', response.data.result.records.length);
-    } else {
-      console.warn('⚠️ Unexpected response structure:', response.data);
-    }
-    res.json(response.data)
-  } catch (error) {
-    console.error('Error fetching data:', error);
-    res.status(500).json({ error: 'Failed to fetch data' });
-  }
-});
-
-
 // REMOVE THIS LINE: app.use(jwtauth);
 
 app.listen(port, () => {
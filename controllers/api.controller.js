@@ -1,144 +1,152 @@
 const getModel = require("../models/flexibleData.model");
-
-// Base URL for the data.gov.sg datastore API
-const DATA_GOV_BASE_URL =
-  "https://data.gov.sg/api/action/datastore_search?resource_id=";
-
-// List of all target datasets, mapping a friendly name to its resource_id and target collection
-const datasets = [
-  {
-    name: "ges",
-    resource_id: "d_3c55210de27fcccda2ed0c63fdd2b352", // Graduate Employment Survey
-    collectionName: "ges_raw",
-  },
-  {
-    name: "cpi",
-    resource_id: "d_bdaff844e3ef89d39fceb962ff8f0791", // Consumer Price Index (Monthly) 2024 base year
-    collectionName: "cpi_monthly",
-  },
-  {
-    name: "unemployment",
-    resource_id: "d_95d364f9050bce1c834390ceed366b93", // Unemployment Rate (Annual)
-    collectionName: "unemp_ann",
-  },
-  {
-    name: "vacancies",
-    resource_id: "d_f3bbdfbf92b811fff364aeed23b5e0bb", // Job Vacancies (Quarterly)
-    collectionName: "job_vacancies_qtr",
-  },
-  {
-    name: "gdpindustryquarterly",
-    resource_id: "d_6d144381f0f4b775e29364b85f04b9af", // gdp by industry quarterly
-    collectionName: "gdp_industry_qtr",
-  },
-  {
-    name: "medianincome",
-    resource_id: "d_9cd9c40f22a4e45cac8f8b9d895fd5ce", // gdp by industry quarterly
-    collectionName: "median_monthly_income",
-  },
-  {
-    name: "schoolinfo",
-    resource_id: "d_688b934f82c1059ed0a6993d2a829089", // school information
-    collectionName: "school_info",
-  },
-];
+const { ObjectId } = require("mongodb");
+const { findDataset } = require("../services/datasetRegistry.service");
+const {
+  LOAD_MODES,
+  enqueueLoad,
+  getRun,
+  listRuns,
+} = require("../services/etl.service");
+const { getSchedule } = require("../services/etlScheduler.service");
+const { searchSchools, SCHOOLS_RESOURCE_ID } = require("../services/schools.service");
 
 /**
- * Fetches a dataset by its friendly name, clears the corresponding collection,
- * and inserts the new records.
+ * Queues a load of a dataset by its friendly name and returns the job id immediately.
+ * ?mode=full (default) stages the records and swaps them in atomically;
+ * ?mode=incremental upserts on the dataset's natural key.
+ * Poll GET /api/etl/jobs/:id for progress.
  */
 exports.loadDataset = async (req, res) => {
   const { datasetName } = req.params;
-  const dataset = datasets.find((d) => d.name === datasetName);
-
-  if (!dataset) {
-    return res
-      .status(404)
-      .json({ message: "Dataset not found in the configured list." });
+  const { mode = "full" } = req.query;
+  if (!LOAD_MODES.includes(mode)) {
+    return res.status(400).json({
+      message: `Invalid mode '${mode}'. Expected one of: ${LOAD_MODES.join(", ")}.`,
+    });
   }
 
-  const BATCH_SIZE = 1000;
-  const initialUrl = `${DATA_GOV_BASE_URL}${dataset.resource_id}&limit=${BATCH_SIZE}`;
-  console.log(`Fetching data for '${datasetName}' from ${dataset.resource_id}`);
-
   try {
-    const initialResponse = await fetch(initialUrl);
-    const initialData = await initialResponse.json();
-
-    if (!initialData.success) throw new Error("Initial API call failed.");
-
-    const totalRecords = initialData.result.total;
-    let allRecords = initialData.result.records;
-
-    console.log(`[DEBUG] API reported a total of ${totalRecords} records.`);
-
-    if (totalRecords > BATCH_SIZE) {
-      const fetchPromises = [];
-      for (
-        let offset = BATCH_SIZE;
-        offset < totalRecords;
-        offset += BATCH_SIZE
-      ) {
-        const pageUrl = `${DATA_GOV_BASE_URL}${dataset.resource_id}&limit=${BATCH_SIZE}&offset=${offset}`;
-        fetchPromises.push(fetch(pageUrl).then((res) => res.json()));
-      }
-
-      const additionalPages = await Promise.all(fetchPromises);
-      additionalPages.forEach((pageData) => {
-        if (pageData.success)
-          allRecords = allRecords.concat(pageData.result.records);
-      });
+    const dataset = await findDataset(datasetName);
+    if (!dataset) {
+      return res
+        .status(404)
+        .json({ message: "Dataset not found in the registry." });
+    }
+    if (!dataset.enabled) {
+      return res
+        .status(409)
+        .json({ message: `Dataset '${datasetName}' is disabled.` });
     }
 
-    console.log(
-      `[DEBUG] Total records fetched from API: ${allRecords.length}.`
-    );
+    const job = await enqueueLoad(dataset, mode);
+    console.log(`Queued ${mode} load for '${datasetName}' as job ${job._id}`);
 
-    const sanitizedRecords = allRecords.map((record) => {
-      const { _id, ...rest } = record;
-      return rest;
+    res.status(202).json({
+      message: `Load of '${datasetName}' queued.`,
+      job_id: job._id,
+      status: job.status,
+      status_url: `/api/etl/jobs/${job._id}`,
     });
+  } catch (error) {
+    console.error(`Error queueing dataset '${datasetName}':`, error);
+    res.status(500).json({
+      message: "Failed to queue dataset load.",
+      error: error.message,
+    });
+  }
+};
 
-    // --- ADD THIS LOG ---
-    if (sanitizedRecords.length > 0) {
-      console.log(
-        "[DEBUG] Sample sanitized record (first one):",
-        JSON.stringify(sanitizedRecords[0], null, 2)
-      );
+/**
+ * @desc    Returns the status and progress of a single ETL job
+ * @route   GET /api/etl/jobs/:id
+ */
+exports.getEtlJob = async (req, res) => {
+  try {
+    const job = await getRun(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "ETL job not found." });
     }
-    // --------------------
 
-    const DataModel = getModel(dataset.collectionName);
+    res.status(200).json({
+      message: "Successfully retrieved ETL job.",
+      data: job,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch ETL job:", error);
+    res.status(500).json({ message: "Failed to retrieve ETL job." });
+  }
+};
 
-    await DataModel.deleteMany({});
-    console.log(
-      `Cleared existing data in collection: ${dataset.collectionName}`
-    );
+/**
+ * @desc    Lists past ETL runs, newest first, optionally for one dataset
+ * @route   GET /api/etl/runs?dataset=&limit= (limit 1-100, default 20)
+ */
+exports.listEtlRuns = async (req, res) => {
+  try {
+    const { dataset, limit } = req.query;
+    const filter = dataset ? { dataset } : {};
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const runs = await listRuns(filter, limitNum);
 
-    // --- MODIFIED INSERT AND LOGGING ---
-    const insertResult = await DataModel.insertMany(sanitizedRecords);
-    console.log(
-      `[SUCCESS] Mongoose reported inserting ${insertResult.length} documents.`
-    );
+    res.status(200).json({
+      message: "Successfully retrieved ETL run history.",
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not list ETL runs:", error);
+    res.status(500).json({ message: "Failed to retrieve ETL run history." });
+  }
+};
 
-    if (insertResult.length > 0) {
-      console.log(
-        "[SUCCESS] The _id of the first inserted document is:",
-        insertResult[0]._id
-      );
+/**
+ * @desc    Lists each dataset's refresh schedule with its next and last run
+ * @route   GET /api/etl/schedule
+ */
+exports.getEtlSchedule = async (req, res) => {
+  try {
+    const schedule = await getSchedule();
+    res.status(200).json({
+      message: "Successfully retrieved ETL schedule.",
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch ETL schedule:", error);
+    res.status(500).json({ message: "Failed to retrieve ETL schedule." });
+  }
+};
+
+/**
+ * @desc    Lists rows quarantined by ETL schema validation, newest first
+ * @route   GET /api/etl/rejects?dataset=&run_id=&limit= (limit 1-100, default 50)
+ */
+exports.listEtlRejects = async (req, res) => {
+  try {
+    const { dataset, run_id, limit } = req.query;
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+    const filter = {};
+    if (dataset) filter.dataset = dataset;
+    if (run_id) {
+      if (!ObjectId.isValid(run_id)) {
+        return res.status(400).json({ message: "Invalid run_id format." });
+      }
+      filter.run_id = new ObjectId(run_id);
     }
-    // -----------------------------------
+
+    const RejectModel = getModel("etl_rejects");
+    const rejects = await RejectModel.find(filter)
+      .sort({ rejected_at: -1 })
+      .limit(limitNum)
+      .lean();
 
     res.status(200).json({
-      message: `Successfully loaded ${sanitizedRecords.length} records for '${datasetName}' into the '${dataset.collectionName}' collection.`,
-      total_records_in_dataset: totalRecords,
+      message: "Successfully retrieved rejected ETL rows.",
+      count: rejects.length,
+      data: rejects,
     });
   } catch (error) {
-    console.error(`Error loading dataset '${datasetName}':`, error);
-    res.status(500).json({
-      message: "Failed to fetch or store data.",
-      error: error.message,
-    });
+    console.error("[ERROR] Could not list ETL rejects:", error);
+    res.status(500).json({ message: "Failed to retrieve rejected ETL rows." });
   }
 };
 
@@ -167,3 +175,47 @@ exports.getSchoolSummary = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Searches schools (replaces the old pass-through data.gov.sg proxy).
+ *          Keeps the data.gov.sg response shape existing callers read
+ *          ({ success, result: { records, total } }), with the page in result.
+ * @route   GET /api/fetch-schools?q=&zone=&level=&page=&limit=
+ */
+exports.fetchSchools = async (req, res) => {
+  try {
+    const { q, zone, level, page = 1, limit = 500 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(1000, Math.max(1, parseInt(limit, 10) || 500));
+
+    const { source, total, records } = await searchSchools(
+      { q, zone, level },
+      pageNum,
+      limitNum
+    );
+
+    res.status(200).json({
+      success: true,
+      result: {
+        resource_id: SCHOOLS_RESOURCE_ID,
+        records,
+        total,
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum,
+        page: pageNum,
+        total_pages: Math.ceil(total / limitNum),
+        source,
+      },
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("[ERROR] Could not fetch schools:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch schools.",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,134 @@
+const DatasetRegistry = require("../models/datasetRegistry.model");
+const { findDataset, listDatasets } = require("../services/datasetRegistry.service");
+
+// Fields a client may set through the API. `name` is only accepted on create.
+const EDITABLE_FIELDS = [
+  "resource_id",
+  "collectionName",
+  "description",
+  "naturalKey",
+  "fieldMapping",
+  "recordSchema",
+  "timeseries",
+  "schedule",
+  "enabled",
+];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+
+// Maps Mongoose validation and duplicate-key errors onto 400/409 responses.
+const sendWriteError = (res, error, action) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res
+      .status(409)
+      .json({ message: "A dataset with that name is already registered." });
+  }
+  console.error(`[ERROR] Could not ${action} dataset:`, error);
+  res.status(500).json({ message: `Failed to ${action} dataset.` });
+};
+
+/**
+ * @desc    Lists every registered dataset
+ * @route   GET /api/etl/datasets
+ */
+exports.listDatasets = async (req, res) => {
+  try {
+    const datasets = await listDatasets();
+    res.status(200).json({
+      message: "Successfully retrieved dataset registry.",
+      count: datasets.length,
+      data: datasets,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not list datasets:", error);
+    res.status(500).json({ message: "Failed to retrieve dataset registry." });
+  }
+};
+
+/**
+ * @desc    Gets a single registered dataset by name
+ * @route   GET /api/etl/datasets/:name
+ */
+exports.getDataset = async (req, res) => {
+  try {
+    const dataset = await findDataset(req.params.name);
+    if (!dataset) {
+      return res.status(404).json({ message: "Dataset not found in the registry." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved dataset.",
+      data: dataset,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch dataset:", error);
+    res.status(500).json({ message: "Failed to retrieve dataset." });
+  }
+};
+
+/**
+ * @desc    Registers a new data.gov.sg dataset
+ * @route   POST /api/etl/datasets
+ */
+exports.createDataset = async (req, res) => {
+  try {
+    const dataset = await DatasetRegistry.create({
+      name: req.body.name,
+      ...pickEditable(req.body),
+    });
+    res.status(201).json({
+      message: `Dataset '${dataset.name}' registered.`,
+      data: dataset,
+    });
+  } catch (error) {
+    sendWriteError(res, error, "register");
+  }
+};
+
+/**
+ * @desc    Updates a registered dataset. The name cannot be changed.
+ * @route   PATCH /api/etl/datasets/:name
+ */
+exports.updateDataset = async (req, res) => {
+  try {
+    const dataset = await DatasetRegistry.findOneAndUpdate(
+      { name: req.params.name.toLowerCase() },
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!dataset) {
+      return res.status(404).json({ message: "Dataset not found in the registry." });
+    }
+    res.status(200).json({
+      message: `Dataset '${dataset.name}' updated.`,
+      data: dataset,
+    });
+  } catch (error) {
+    sendWriteError(res, error, "update");
+  }
+};
+
+/**
+ * @desc    Removes a dataset from the registry. Its collection is left as it is.
+ * @route   DELETE /api/etl/datasets/:name
+ */
+exports.deleteDataset = async (req, res) => {
+  try {
+    const result = await DatasetRegistry.deleteOne({
+      name: req.params.name.toLowerCase(),
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Dataset not found in the registry." });
+    }
+    res.status(200).json({ message: "Dataset successfully removed from the registry." });
+  } catch (error) {
+    console.error("[ERROR] Could not delete dataset:", error);
+    res.status(500).json({ message: "Failed to delete dataset." });
+  }
+};
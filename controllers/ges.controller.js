@@ -1,9 +1,43 @@
 const getModel = require("../models/flexibleData.model");
 const { ObjectId } = require("mongodb");
-const Sentiment = require("sentiment");
-const sentiment = new Sentiment();
-const { MultivariateLinearRegression } = require("ml-regression");
-const { getGesSummary } = require("../services/ges.service"); // ADDED
+const { getGesSummary, compareDegrees } = require("../services/ges.service"); // ADDED
+const { searchNews, upsertArticles } = require("../services/news.service");
+const {
+  scoreArticle,
+  sentimentFields,
+  withSentiment,
+  enqueueReanalysis,
+  getReanalysisJob,
+  getSentimentTrend,
+} = require("../services/sentiment.service");
+const {
+  ensureLexicon,
+  listTerms,
+  upsertTerm,
+  deleteTerm,
+} = require("../services/sentimentLexicon.service");
+const {
+  ensureDictionaries,
+  withTags,
+  enqueueRetag,
+  getRetagJob,
+} = require("../services/newsTagging.service");
+const {
+  getOrRunForecast,
+  listForecastHistory,
+  getLeaderboard,
+} = require("../services/forecastRuns.service");
+const {
+  enqueueBatchForecast,
+  getBatchForecastJob,
+} = require("../services/forecastBatch.service");
+const {
+  parseRealOptions,
+  getDeflator,
+  deflateRecord,
+  deflateForecast,
+  describeDeflator,
+} = require("../services/realSalary.service");
 const fs = require("fs"); // ADDED
 const path = require("path"); // ADDED
 
@@ -11,6 +45,9 @@ const path = require("path"); // ADDED
 /**
  * Controller to upload news articles directly to the database.
  * Expects an array of article objects in the request body.
+ * Each article is sentiment-scored and tagged with the universities, schools,
+ * degrees, industries and occupations it mentions; URLs are canonicalised and duplicates
+ * are merged rather than inserted twice.
  */
 exports.uploadNews = async (req, res) => {
   const articles = req.body;
@@ -23,24 +60,30 @@ exports.uploadNews = async (req, res) => {
   }
 
   try {
-    const NewsModel = getModel("news_raw");
-
-    // Add metadata to each article before insertion
-    const articlesToInsert = articles.map((article) => ({
-      ...article,
-      // Ensure essential fields like publishedAt exist, defaulting if necessary
-      publishedAt: article.publishedAt
-        ? new Date(article.publishedAt)
-        : new Date(),
-      fetched_at: new Date(),
-      provider: "manual_upload",
-    }));
+    await Promise.all([ensureLexicon(), ensureDictionaries()]);
+    // Add metadata, a sentiment score and tags to each article before insertion
+    const articlesToInsert = articles.map((article) =>
+      withTags(withSentiment({
+        ...article,
+        // Ensure essential fields like publishedAt exist, defaulting if necessary
+        publishedAt: article.publishedAt
+          ? new Date(article.publishedAt)
+          : new Date(),
+        fetched_at: new Date(),
+        provider: "manual_upload",
+      }))
+    );
 
-    const result = await NewsModel.insertMany(articlesToInsert);
+    // Duplicates (same canonical URL, same content, or a near-identical title)
+    // are merged into the stored article instead of being inserted again.
+    const result = await upsertArticles(articlesToInsert);
 
     res.status(201).json({
-      message: `Successfully uploaded and inserted ${result.length} articles.`,
-      insertedCount: result.length,
+      message: `Processed ${articles.length} articles: ${result.new} new, ${result.merged} merged into existing, ${result.skipped} skipped as duplicates.`,
+      insertedCount: result.new,
+      new: result.new,
+      merged: result.merged,
+      skipped: result.skipped,
     });
   } catch (error) {
     console.error("[FATAL] Error uploading news:", error);
@@ -52,31 +95,28 @@ exports.uploadNews = async (req, res) => {
 };
 
 /**
- * Lists news articles from the database with pagination.
+ * Lists and searches news articles with pagination and facet counts.
+ * Query: q (keywords), from, to, source, provider, sentiment (negative|neutral|positive),
+ * degree, industry, university, school, occupation, page, limit,
+ * sort (publishedAt, fetched_at, title, sentiment_score, sentiment_comparative or
+ * "relevance" with q), order.
  */
 exports.listNews = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      sort = "publishedAt",
-      order = "desc",
-    } = req.query;
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-    const skip = (pageNum - 1) * limitNum;
-
-    const NewsModel = getModel("news_raw");
-    const articles = await NewsModel.find()
-      .sort({ [sort]: order === "desc" ? -1 : 1 })
-      .skip(skip)
-      .limit(limitNum);
-
-    const total = await NewsModel.countDocuments();
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.max(1, parseInt(limit, 10) || 20);
+
+    const { articles, total, facets } = await searchNews(
+      req.query,
+      pageNum,
+      limitNum
+    );
 
     res.status(200).json({
       message: "Successfully retrieved articles.",
       data: articles,
+      facets,
       pagination: {
         total_articles: total,
         total_pages: Math.ceil(total / limitNum),
@@ -85,11 +125,58 @@ exports.listNews = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("[ERROR] Could not list news articles:", error);
     res.status(500).json({ message: "Failed to retrieve news articles." });
   }
 };
 
+/**
+ * Queues a background job that re-tags existing articles, e.g. after new GES or
+ * GDP data has been loaded. Body: any GET /api/news filter, plus outdated_only to
+ * skip articles already tagged with the current dictionaries.
+ */
+exports.retagNews = async (req, res) => {
+  try {
+    const job = await enqueueRetag(req.body || {});
+
+    res.status(202).json({
+      message: "News tagging queued.",
+      job_id: job._id,
+      status: job.status,
+      tags_version: job.tags_version,
+      status_url: `/api/news/tag/jobs/${job._id}`,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("[ERROR] Could not queue news tagging:", error);
+    res.status(500).json({ message: "Failed to queue news tagging." });
+  }
+};
+
+/**
+ * Returns the status and progress of a news tagging job.
+ */
+exports.getNewsTagJob = async (req, res) => {
+  try {
+    const job = await getRetagJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Tagging job not found." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved tagging job.",
+      data: job,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch tagging job:", error);
+    res.status(500).json({ message: "Failed to retrieve tagging job." });
+  }
+};
+
 /**
  * Gets a single news article by its MongoDB _id.
  */
@@ -142,7 +229,7 @@ exports.deleteNews = async (req, res) => {
 };
 
 /**
- * Analyzes and returns the sentiment of a single news article.
+ * Analyzes and returns the sentiment of a single news article without saving it.
  */
 exports.getArticleSentiment = async (req, res) => {
   try {
@@ -152,18 +239,15 @@ exports.getArticleSentiment = async (req, res) => {
     }
 
     const NewsModel = getModel("news_raw");
-    const article = await NewsModel.findOne({ _id: new ObjectId(id) });
+    const article = await NewsModel.findOne({ _id: new ObjectId(id) }).lean();
 
     if (!article) {
       return res.status(404).json({ message: "Article not found." });
     }
 
-    // Combine title and description for a more comprehensive analysis
-    const textToAnalyze = `${article.title || ""}. ${
-      article.description || ""
-    }`.trim();
-
-    if (!textToAnalyze) {
+    await ensureLexicon();
+    const scored = scoreArticle(article);
+    if (!scored) {
       return res
         .status(400)
         .json({
@@ -172,25 +256,56 @@ exports.getArticleSentiment = async (req, res) => {
         });
     }
 
-    const result = sentiment.analyze(textToAnalyze);
+    res.status(200).json({
+      message: "Sentiment analysis complete.",
+      article_id: id,
+      text_analyzed: scored.text,
+      sentiment: scored.result,
+      stored_sentiment_version: article.sentiment_version || null,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not analyze article sentiment:", error);
+    res.status(500).json({ message: "Failed to analyze article sentiment." });
+  }
+};
 
-    // Optional: Update the article in the DB with the new score
-    await NewsModel.updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          sentiment_score: result.score,
-          sentiment_comparative: result.comparative,
-          sentiment_analyzed_at: new Date(),
-        },
-      }
-    );
+/**
+ * Re-scores a single news article and stores the result on it.
+ */
+exports.analyzeArticleSentiment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format." });
+    }
+
+    const NewsModel = getModel("news_raw");
+    const article = await NewsModel.findOne({ _id: new ObjectId(id) }).lean();
+
+    if (!article) {
+      return res.status(404).json({ message: "Article not found." });
+    }
+
+    await ensureLexicon();
+    const scored = scoreArticle(article);
+    if (!scored) {
+      return res
+        .status(400)
+        .json({
+          message:
+            "Article has no text content (title/description) to analyze.",
+        });
+    }
+
+    const fields = sentimentFields(scored.result);
+    await NewsModel.updateOne({ _id: new ObjectId(id) }, { $set: fields });
 
     res.status(200).json({
-      message: "Sentiment analysis complete.",
+      message: "Sentiment analysis complete and stored.",
       article_id: id,
-      text_analyzed: textToAnalyze,
-      sentiment: result,
+      text_analyzed: scored.text,
+      sentiment: scored.result,
+      sentiment_version: fields.sentiment_version,
     });
   } catch (error) {
     console.error("[ERROR] Could not analyze article sentiment:", error);
@@ -198,6 +313,50 @@ exports.getArticleSentiment = async (req, res) => {
   }
 };
 
+/**
+ * Queues a background job that re-scores existing articles.
+ * Body: any GET /api/news filter, plus outdated_only to skip articles already
+ * scored with the current method and lexicon revision.
+ */
+exports.reanalyzeSentiment = async (req, res) => {
+  try {
+    const job = await enqueueReanalysis(req.body || {});
+
+    res.status(202).json({
+      message: "Sentiment reanalysis queued.",
+      job_id: job._id,
+      status: job.status,
+      sentiment_version: job.sentiment_version,
+      status_url: `/api/sentiment/jobs/${job._id}`,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("[ERROR] Could not queue sentiment reanalysis:", error);
+    res.status(500).json({ message: "Failed to queue sentiment reanalysis." });
+  }
+};
+
+/**
+ * Returns the status and progress of a sentiment reanalysis job.
+ */
+exports.getSentimentJob = async (req, res) => {
+  try {
+    const job = await getReanalysisJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Sentiment job not found." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved sentiment job.",
+      data: job,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch sentiment job:", error);
+    res.status(500).json({ message: "Failed to retrieve sentiment job." });
+  }
+};
+
 /**
  * Calculates the overall average sentiment for all analyzed articles.
  */
@@ -247,6 +406,107 @@ exports.getOverallSentiment = async (req, res) => {
   }
 };
 
+/**
+ * Returns sentiment aggregated by day, week or month.
+ * Query: interval (day|week|month), window (buckets in the rolling mean), from, to,
+ * plus any GET /api/news filter such as provider, source or q.
+ */
+exports.getSentimentTrend = async (req, res) => {
+  try {
+    const trend = await getSentimentTrend(req.query);
+
+    res.status(200).json({
+      message: "Sentiment trend calculated successfully.",
+      interval: trend.interval,
+      rolling_window: trend.window,
+      data: trend.data,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("[ERROR] Could not calculate sentiment trend:", error);
+    res
+      .status(500)
+      .json({
+        message: "Failed to calculate sentiment trend.",
+        error: error.message,
+      });
+  }
+};
+
+// Lexicon terms: lowercase words or phrases of letters, digits, hyphens and apostrophes
+const LEXICON_TERM_PATTERN = /^[a-z0-9'-]+( [a-z0-9'-]+)*$/;
+
+/**
+ * Lists the labour-market terms layered on top of AFINN when scoring news.
+ */
+exports.listLexicon = async (req, res) => {
+  try {
+    const terms = await listTerms();
+    res.status(200).json({
+      message: "Successfully retrieved sentiment lexicon.",
+      count: terms.length,
+      data: terms,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch sentiment lexicon:", error);
+    res.status(500).json({ message: "Failed to retrieve sentiment lexicon." });
+  }
+};
+
+/**
+ * Adds or changes a lexicon term. Body: { score (-5..5), note? }.
+ * Multi-word terms ("hiring freeze") are matched as phrases.
+ * Existing articles keep their old scores until reanalysed with outdated_only.
+ */
+exports.upsertLexiconTerm = async (req, res) => {
+  try {
+    const term = String(req.params.term).trim().toLowerCase().replace(/\s+/g, " ");
+    const { score, note } = req.body || {};
+
+    if (!LEXICON_TERM_PATTERN.test(term)) {
+      return res.status(400).json({
+        message:
+          "Term must be a word or phrase of letters, digits, hyphens and apostrophes.",
+      });
+    }
+    if (typeof score !== "number" || score < -5 || score > 5) {
+      return res
+        .status(400)
+        .json({ message: "score must be a number between -5 and 5." });
+    }
+    if (note !== undefined && typeof note !== "string") {
+      return res.status(400).json({ message: "note must be a string." });
+    }
+
+    const entry = await upsertTerm(term, score, note);
+    res.status(200).json({
+      message: `Lexicon term '${term}' saved.`,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not save lexicon term:", error);
+    res.status(500).json({ message: "Failed to save lexicon term." });
+  }
+};
+
+/**
+ * Removes a lexicon term, falling back to its stock AFINN score (if any).
+ */
+exports.deleteLexiconTerm = async (req, res) => {
+  try {
+    const deleted = await deleteTerm(req.params.term);
+    if (!deleted) {
+      return res.status(404).json({ message: "Lexicon term not found." });
+    }
+    res.status(200).json({ message: "Lexicon term deleted." });
+  } catch (error) {
+    console.error("[ERROR] Could not delete lexicon term:", error);
+    res.status(500).json({ message: "Failed to delete lexicon term." });
+  }
+};
+
 // --- GES Data Exploration ---
 
 /**
@@ -288,10 +548,12 @@ exports.getUniqueSchoolsByUniversity = async (req, res) => {
 
 /**
  * Retrieves the most recent record for each unique degree within a given university and school.
+ * With ?real=true&baseYear=2024 salaries are in base-year dollars (see realSalary.service).
  */
 exports.getDegreesBySchoolForLatestYear = async (req, res) => {
   try {
     const { university, school } = req.params;
+    const realOptions = parseRealOptions(req.query);
     const GESModel = getModel("ges_raw");
 
     const latestDegrees = await GESModel.aggregate([
@@ -324,11 +586,23 @@ exports.getDegreesBySchoolForLatestYear = async (req, res) => {
         });
     }
 
+    if (realOptions) {
+      const deflator = await getDeflator(realOptions);
+      return res.status(200).json({
+        message: `Successfully retrieved the most recent data for each degree in ${deflator.base_year} dollars.`,
+        data: latestDegrees.map((record) => deflateRecord(record, deflator)),
+        deflator: describeDeflator(deflator, latestDegrees.map((record) => record.year)),
+      });
+    }
+
     res.status(200).json({
       message: `Successfully retrieved the most recent data for each degree.`,
       data: latestDegrees,
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("[ERROR] Could not fetch latest degrees by school:", error);
     res.status(500).json({ message: "Failed to fetch degree list." });
   }
@@ -336,10 +610,12 @@ exports.getDegreesBySchoolForLatestYear = async (req, res) => {
 
 /**
  * Retrieves the complete historical data for a specific degree, sorted by year.
+ * With ?real=true&baseYear=2024 salaries are in base-year dollars (see realSalary.service).
  */
 exports.getDegreeHistory = async (req, res) => {
   try {
     const { university, school, degree } = req.params;
+    const realOptions = parseRealOptions(req.query);
     const GESModel = getModel("ges_raw");
 
     const history = await GESModel.find({ university, school, degree }).sort({
@@ -354,329 +630,164 @@ exports.getDegreeHistory = async (req, res) => {
         });
     }
 
+    if (realOptions) {
+      const deflator = await getDeflator(realOptions);
+      return res.status(200).json({
+        message: `Successfully retrieved historical data in ${deflator.base_year} dollars.`,
+        data: history.map((record) => deflateRecord(record.toObject(), deflator)),
+        deflator: describeDeflator(deflator, history.map((record) => record.year)),
+      });
+    }
+
     res.status(200).json({
       message: "Successfully retrieved historical data.",
       data: history,
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("[ERROR] Could not fetch degree history:", error);
     res.status(500).json({ message: "Failed to fetch degree history." });
   }
 };
 
-// --- Forecasting Pipeline ---
-
-exports.runForecast = async (req, res) => {
+/**
+ * @desc    Compares 2-6 degrees: yearly series aligned by year for each GES metric,
+ *          the latest-year snapshot, median salary CAGR, employment rate changes and
+ *          ranks across the selection (on ranked_year, the latest year they all share).
+ *          ?real=true&baseYear=2024 compares real salaries.
+ * @route   POST /api/ges/compare  Body: { degrees: [{ university, school, degree }] }
+ */
+exports.compareDegrees = async (req, res) => {
   try {
-    const { university, school, degree } = req.body;
+    const realOptions = parseRealOptions(req.query);
+    const deflator = realOptions ? await getDeflator(realOptions) : null;
 
-    if (!university || !school || !degree) {
-      return res
-        .status(400)
-        .json({
-          message: "Request body must contain university, school, and degree.",
-        });
+    const comparison = await compareDegrees((req.body || {}).degrees, {
+      transform: deflator ? (record) => deflateRecord(record, deflator) : undefined,
+    });
+
+    res.status(200).json({
+      message: `Successfully compared ${comparison.degrees.length} degrees.`,
+      data: comparison,
+      ...(deflator ? { deflator: describeDeflator(deflator, comparison.years) } : {}),
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
     }
-    console.log(`--- Starting Forecast Pipeline for: ${degree} ---`);
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message, missing: error.missing });
+    }
+    console.error("[ERROR] Could not compare degrees:", error);
+    res.status(500).json({ message: "Failed to compare degrees." });
+  }
+};
 
-    // Fetch all data sources in parallel
-    const GESModel = getModel("ges_raw");
-    const MedianIncomeModel = getModel("median_monthly_income");
-    const UnemploymentModel = getModel("unemp_ann");
-    const NewsModel = getModel("news_raw");
-    const GdpModel = getModel("gdp_industry_qtr");
-    const CpiModel = getModel("cpi_monthly");
-    const JobVacanciesModel = getModel("job_vacancies_qtr");
-
-    const [
-      degreeHistory,
-      medianIncomeRecords,
-      unemploymentRecord,
-      gdpRecord,
-      cpiRecord,
-      jobVacanciesRecord,
-    ] = await Promise.all([
-      GESModel.find({ university, school, degree })
-        .sort({ year: "asc" })
-        .lean(),
-      MedianIncomeModel.find({}).lean(),
-      UnemploymentModel.findOne({ DataSeries: "Total" }).lean(),
-      GdpModel.findOne({ DataSeries: "GDP In Chained (2015) Dollars" }).lean(),
-      CpiModel.findOne({ DataSeries: "All Items" }).lean(),
-      JobVacanciesModel.findOne({ DataSeries: "Total" }).lean(),
-    ]);
+// --- Forecasting Pipeline ---
 
-    if (degreeHistory.length < 3) {
+/**
+ * Forecasts a degree's median salary, and any other requested GES metrics (e.g.
+ * employment_rate_overall), for the next 3 years, each with whichever model
+ * backtests best on its GES history. Salaries are nudged by recent news about the field.
+ * Runs are stored in forecast_runs, and an identical request is answered from the
+ * stored run until the GES or macro data changes (unless refresh is true).
+ * scenarios (preset names or { name, preset?, growth?, levels?, shift? } objects)
+ * are forecast side by side with the baseline from adjusted macro inputs.
+ * With ?real=true&baseYear=2024 salaries are in base-year dollars; forecast years are
+ * deflated with CPI projected from the forecast's own inflation trend.
+ * canonical_id (see /api/ges/taxonomy) can stand in for university, school and degree,
+ * forecasting from every raw name the canonical degree covers.
+ * Body: { university, school, degree | canonical_id, metrics?, model?, sentiment_window_days?,
+ *   scenarios?, refresh? }
+ */
+exports.runForecast = async (req, res) => {
+  try {
+    const {
+      university,
+      school,
+      degree,
+      canonical_id,
+      metrics,
+      model,
+      sentiment_window_days,
+      scenarios,
+      refresh,
+    } = req.body;
+
+    if (!canonical_id && (!university || !school || !degree)) {
       return res
         .status(400)
         .json({
-          message:
-            "Not enough historical data (< 3 years) for this degree to create a forecast.",
+          message: "Request body must contain university, school, and degree, or canonical_id.",
         });
     }
-
-    console.log(
-      "\n--- Phase 1: Preparing Historical Data for Model Training ---"
-    );
-
-    const getAnnualGdp = (year) => {
-      const values = [
-        gdpRecord[`${year}1Q`],
-        gdpRecord[`${year}2Q`],
-        gdpRecord[`${year}3Q`],
-        gdpRecord[`${year}4Q`],
-      ];
-      if (values.some((v) => v === undefined)) return null;
-      return values
-        .map((v) => parseFloat(v || 0))
-        .reduce((sum, v) => sum + v, 0);
-    };
-    const getAnnualAvgVacancies = (year) => {
-      const values = [
-        jobVacanciesRecord[`${year}1Q`],
-        jobVacanciesRecord[`${year}2Q`],
-        jobVacanciesRecord[`${year}3Q`],
-        jobVacanciesRecord[`${year}4Q`],
-      ];
-      if (values.some((v) => v === undefined)) return null;
-      return (
-        values.map((v) => parseFloat(v || 0)).reduce((sum, v) => sum + v, 0) / 4
-      );
-    };
-    const getAnnualInflation = (year) => {
-      const currentDec = parseFloat(cpiRecord[`${year}Dec`]);
-      const prevDec = parseFloat(cpiRecord[`${year - 1}Dec`]);
-      if (isNaN(currentDec) || isNaN(prevDec)) return null;
-      return (currentDec - prevDec) / prevDec;
-    };
-
-    const medianIncomesByYear = medianIncomeRecords.reduce((acc, doc) => {
-      acc[doc.year] = doc.med_income_incl_empcpf;
-      return acc;
-    }, {});
-
-    const historicalData = [];
-    for (const record of degreeHistory) {
-      const year = record.year;
-      if (parseInt(year) < 2013) continue;
-
-      const dataPoint = {
-        year: parseInt(year),
-        median_salary: parseFloat(record.gross_monthly_median),
-        national_median: parseFloat(medianIncomesByYear[year]),
-        unemployment: parseFloat(unemploymentRecord[year]),
-        annual_gdp: getAnnualGdp(year),
-        avg_job_vacancies: getAnnualAvgVacancies(year),
-        yoy_inflation_rate: getAnnualInflation(year),
-      };
-
-      if (Object.values(dataPoint).every((v) => v !== null && !isNaN(v))) {
-        historicalData.push(dataPoint);
-      } else {
-        console.log(
-          `[WARN] Skipping year ${year} due to missing or invalid macroeconomic data.`
-        );
+    const realOptions = parseRealOptions(req.query);
+    const sentimentOverrides = {};
+    if (sentiment_window_days !== undefined) {
+      const days = Number(sentiment_window_days);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res
+          .status(400)
+          .json({ message: "sentiment_window_days must be a positive number." });
       }
+      sentimentOverrides.window_days = days;
     }
-    console.log("Cleaned historical data for training:");
-    console.table(historicalData);
-
-    console.log("\n--- Phase 2: Training Multiple Linear Regression Model ---");
-    const features = [
-      "national_median",
-      "unemployment",
-      "annual_gdp",
-      "avg_job_vacancies",
-      "yoy_inflation_rate",
-    ];
-    const X_train = historicalData.map((d) => features.map((f) => d[f]));
-    const y_train = historicalData.map((d) => [d.median_salary]);
-    const regression = new MultivariateLinearRegression(X_train, y_train);
-    console.log("Model trained successfully.");
-
-    // Add model predictions on historical data to check accuracy
-    historicalData.forEach((dataPoint, index) => {
-      const prediction = regression.predict(X_train[index]);
-      dataPoint.model_prediction = Math.round(prediction[0]);
-    });
-    console.log("Historical data with model predictions:");
-    console.table(
-      historicalData.map((d) => ({
-        year: d.year,
-        actual_salary: d.median_salary,
-        predicted_salary: d.model_prediction,
-      }))
-    );
-
-    const weights = regression.weights;
-    const intercept = weights[features.length][0];
-    const coefficients = features.reduce(
-      (obj, feature, i) => ({ ...obj, [feature]: weights[i][0] }),
-      {}
-    );
-    const modelEquation = { coefficients, intercept };
-    console.log("Model Equation:", modelEquation);
-
-    console.log(
-      "\n--- Phase 3: Projecting Future Inputs and Forecasting Salary ---"
-    );
-
-    const projectLinearTrend = (data, yearsToProject) => {
-      const keys = Object.keys(data)
-        .filter((k) => /^\d{4}$/.test(k))
-        .sort();
-      const values = keys.map((k) => parseFloat(data[k]));
-      if (values.length < 2) {
-        const lastKnownValue =
-          values.length > 0 ? values[values.length - 1] : 0;
-        const projections = { ...data };
-        for (let i = 1; i <= yearsToProject; i++) {
-          projections[
-            parseInt(keys[keys.length - 1] || new Date().getFullYear()) + i
-          ] = lastKnownValue;
-        }
-        return projections;
-      }
-      const avgChange =
-        (values[values.length - 1] - values[0]) / (values.length - 1);
-      let lastValue = values[values.length - 1];
-      const projections = { ...data };
-      for (let i = 1; i <= yearsToProject; i++) {
-        lastValue += avgChange;
-        projections[parseInt(keys[keys.length - 1]) + i] = lastValue;
-      }
-      return projections;
-    };
-
-    const currentYear = new Date().getFullYear();
-    const finalForecastYear = currentYear + 3;
-
-    const createAnnualHistory = (record, aggregator) => {
-      const history = {};
-      Object.keys(record)
-        .filter((key) => /^\d{4}/.test(key))
-        .forEach((key) => {
-          const year = key.substring(0, 4);
-          if (!history[year]) history[year] = [];
-          history[year].push(parseFloat(record[key]));
-        });
-      return Object.entries(history).reduce((acc, [year, values]) => {
-        if (values.length === 4) acc[year] = aggregator(values);
-        return acc;
-      }, {});
-    };
 
-    const annualGdpHistory = createAnnualHistory(gdpRecord, (values) =>
-      values.reduce((s, v) => s + v, 0)
-    );
-    const annualVacanciesHistory = createAnnualHistory(
-      jobVacanciesRecord,
-      (values) => values.reduce((s, v) => s + v, 0) / 4
-    );
-
-    const annualInflationHistory = {};
-    Object.keys(cpiRecord)
-      .filter((k) => k.includes("Dec"))
-      .forEach((k) => {
-        const year = parseInt(k.substring(0, 4));
-        if (year > 2012) {
-          const rate = getAnnualInflation(year);
-          if (rate !== null) annualInflationHistory[year] = rate;
-        }
-      });
-
-    const projectToFinalYear = (history) => {
-      const lastYear = parseInt(
-        Object.keys(history)
-          .filter((k) => !isNaN(k))
-          .sort()
-          .pop() || currentYear
-      );
-      return projectLinearTrend(history, finalForecastYear - lastYear);
-    };
-
-    const projectedNationalMedians = projectToFinalYear(medianIncomesByYear);
-    const projectedUnemployment = projectToFinalYear(unemploymentRecord);
-    const projectedGdp = projectToFinalYear(annualGdpHistory);
-    const projectedVacancies = projectToFinalYear(annualVacanciesHistory);
-    const projectedInflation = projectToFinalYear(annualInflationHistory);
-
-    const sentimentAggregation = await NewsModel.aggregate([
-      { $match: { sentiment_comparative: { $ne: null } } },
+    const { run, cached } = await getOrRunForecast(
       {
-        $group: {
-          _id: null,
-          averageSentiment: { $avg: "$sentiment_comparative" },
-        },
+        university,
+        school,
+        degree,
+        canonicalId: canonical_id ? String(canonical_id) : undefined,
+        metrics,
+        model: model ? String(model) : undefined,
+        sentimentOverrides,
+        scenarios,
       },
-    ]);
-    const sentimentAdjustment =
-      sentimentAggregation.length > 0
-        ? sentimentAggregation[0].averageSentiment
-        : 0;
-    console.log(
-      `Sentiment Adjustment Factor: ${sentimentAdjustment.toFixed(4)}`
+      { refresh: refresh === true || refresh === "true" }
     );
 
-    const forecastResults = [];
-    for (let i = 1; i <= 3; i++) {
-      const forecastYear = currentYear + i;
-      const futureFeatures = [
-        projectedNationalMedians[forecastYear],
-        projectedUnemployment[forecastYear],
-        projectedGdp[forecastYear],
-        projectedVacancies[forecastYear],
-        projectedInflation[forecastYear],
-      ];
-
-      if (futureFeatures.some((v) => v === undefined)) {
-        throw new Error(
-          `Cannot make prediction for ${forecastYear}. One or more projected features are missing.`
-        );
-      }
-
-      const predictedSalary = regression.predict(futureFeatures);
-      const adjustedSalary = predictedSalary[0] * (1 + sentimentAdjustment);
-      forecastResults.push({
-        year: forecastYear,
-        predicted_median_salary: Math.round(adjustedSalary),
-        projected_inputs: {
-          national_median_income: projectedNationalMedians[forecastYear],
-          unemployment_rate: projectedUnemployment[forecastYear],
-          annual_gdp: projectedGdp[forecastYear],
-          avg_job_vacancies: projectedVacancies[forecastYear],
-          yoy_inflation_rate: projectedInflation[forecastYear],
-        },
+    // Runs are stored in nominal dollars; real values are derived per request.
+    let output = run;
+    let deflator = null;
+    if (realOptions) {
+      deflator = await getDeflator({
+        ...realOptions,
+        projectedInflation: run.macroeconomic_trends.yoy_inflation_rate,
       });
+      output = deflateForecast(run, deflator);
     }
-    console.log("\n--- Final Forecast Results (Sentiment Adjusted) ---");
-    console.table(
-      forecastResults.map((r) => ({
-        year: r.year,
-        predicted_median_salary: r.predicted_median_salary,
-      }))
-    );
 
-    // --- FINAL ENHANCED RESPONSE ---
     res.status(200).json({
-      message: `Successfully generated 3-year salary forecast for ${degree}.`,
-      forecast: forecastResults,
-      historical_data: historicalData,
-      model_details: {
-        equation: modelEquation,
-        features: features.map((f) => f.replace(/_/g, " ")),
-        sentiment_adjustment_factor: sentimentAdjustment,
-      },
-      // NEW: Add full historical and projected trends for macroeconomic data
-      macroeconomic_trends: {
-        national_median_income: projectedNationalMedians,
-        unemployment_rate: projectedUnemployment,
-        annual_gdp: projectedGdp,
-        avg_job_vacancies: projectedVacancies,
-        yoy_inflation_rate: projectedInflation,
-      },
+      message: cached
+        ? `Served cached 3-year salary forecast for ${run.degree}; its input data is unchanged.`
+        : `Successfully generated 3-year salary forecast for ${run.degree}.`,
+      run_id: run._id,
+      ...(run.canonical_id ? { canonical_id: run.canonical_id } : {}),
+      cached,
+      generated_at: run.created_at,
+      inputs_hash: run.inputs_hash,
+      forecast: output.forecast,
+      historical_data: output.historical_data,
+      model_details: output.model_details,
+      macroeconomic_trends: output.macroeconomic_trends,
+      metrics: output.metrics,
+      ...(output.scenarios ? { scenarios: output.scenarios } : {}),
+      ...(deflator
+        ? {
+            deflator: describeDeflator(deflator, [
+              ...output.historical_data.map((point) => point.year),
+              ...output.forecast.map((point) => point.year),
+            ]),
+          }
+        : {}),
     });
   } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("[ERROR] Forecast pipeline failed:", error);
     res
       .status(500)
@@ -687,6 +798,101 @@ exports.runForecast = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Lists stored forecast runs for a degree, newest first, with each
+ *          forecast year paired with the GES actual once it is published
+ * @route   GET /api/forecast/history/:university/:school/:degree?limit=
+ *          GET /api/forecast/history/:canonicalId?limit=
+ */
+exports.getForecastHistory = async (req, res) => {
+  try {
+    const { university, school, degree, canonicalId } = req.params;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const runs = await listForecastHistory({ university, school, degree, canonicalId }, limit);
+    res.status(200).json({
+      message: `Successfully retrieved forecast history for ${degree || canonicalId}.`,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error("[ERROR] Could not fetch forecast history:", error);
+    res.status(500).json({ message: "Failed to retrieve forecast history." });
+  }
+};
+
+/**
+ * @desc    Queues a job that forecasts every degree with enough GES history
+ * @route   POST /api/forecast/batch  Body: { university?, refresh? }
+ */
+exports.runBatchForecast = async (req, res) => {
+  try {
+    const job = await enqueueBatchForecast(req.body || {});
+    res.status(202).json({
+      message: "Batch forecast queued.",
+      job_id: job._id,
+      status: job.status,
+      status_url: `/api/forecast/jobs/${job._id}`,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not queue batch forecast:", error);
+    res.status(500).json({ message: "Failed to queue batch forecast." });
+  }
+};
+
+/**
+ * @desc    Returns the status and progress of a batch forecast job
+ * @route   GET /api/forecast/jobs/:id
+ */
+exports.getForecastJob = async (req, res) => {
+  try {
+    const job = await getBatchForecastJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Forecast job not found." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved forecast job.",
+      data: job,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch forecast job:", error);
+    res.status(500).json({ message: "Failed to retrieve forecast job." });
+  }
+};
+
+/**
+ * @desc    Ranks degrees by their latest forecast
+ * @route   GET /api/forecast/leaderboard?sort=growth|salary|confidence&university=&page=&limit=
+ */
+exports.getForecastLeaderboard = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const { total, entries } = await getLeaderboard(req.query, pageNum, limitNum);
+    res.status(200).json({
+      message: "Successfully retrieved forecast leaderboard.",
+      sort: req.query.sort || "growth",
+      data: entries,
+      pagination: {
+        total_degrees: total,
+        total_pages: Math.ceil(total / limitNum),
+        current_page: pageNum,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("[ERROR] Could not build forecast leaderboard:", error);
+    res.status(500).json({ message: "Failed to retrieve forecast leaderboard." });
+  }
+};
 
 /**
  * NEW HELPER FUNCTION
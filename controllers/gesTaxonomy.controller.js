@@ -0,0 +1,227 @@
+const {
+  listEntries,
+  findEntry,
+  enqueueSuggest,
+  getSuggestJob,
+  listSuggestions,
+  approveSuggestion,
+  rejectSuggestion,
+  mergeEntries,
+  getCanonicalHistory,
+} = require("../services/gesTaxonomy.service");
+const {
+  parseRealOptions,
+  getDeflator,
+  deflateRecord,
+  describeDeflator,
+} = require("../services/realSalary.service");
+
+// Maps the service's 400/404/409 errors onto responses; anything else is a 500.
+const sendError = (res, error, action) => {
+  if ([400, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[ERROR] Could not ${action}:`, error);
+  res.status(500).json({ message: `Failed to ${action}.` });
+};
+
+/**
+ * @desc    Lists canonical schools and degrees with their raw GES aliases
+ * @route   GET /api/ges/taxonomy?kind=school|degree&university=&school_id=&q=
+ */
+exports.listTaxonomy = async (req, res) => {
+  try {
+    const entries = await listEntries(req.query);
+    res.status(200).json({
+      message: "Successfully retrieved GES taxonomy.",
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    sendError(res, error, "retrieve GES taxonomy");
+  }
+};
+
+/**
+ * @desc    Gets a canonical school or degree; ids merged into another entry resolve to it
+ * @route   GET /api/ges/taxonomy/:id
+ */
+exports.getTaxonomyEntry = async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: "Taxonomy entry not found." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved taxonomy entry.",
+      data: entry,
+    });
+  } catch (error) {
+    sendError(res, error, "retrieve taxonomy entry");
+  }
+};
+
+/**
+ * @desc    Queues a job that adds new GES names to the taxonomy and proposes merges
+ *          between similarly named schools and degrees
+ * @route   POST /api/ges/taxonomy/suggest  Body: { threshold? }
+ */
+exports.suggestMerges = async (req, res) => {
+  try {
+    const job = await enqueueSuggest(req.body || {});
+    res.status(202).json({
+      message: "Taxonomy merge suggestions queued.",
+      job_id: job._id,
+      status: job.status,
+      threshold: job.threshold,
+      status_url: `/api/ges/taxonomy/jobs/${job._id}`,
+    });
+  } catch (error) {
+    sendError(res, error, "queue taxonomy suggestions");
+  }
+};
+
+/**
+ * @desc    Returns the status and counts of a taxonomy suggestion job
+ * @route   GET /api/ges/taxonomy/jobs/:id
+ */
+exports.getTaxonomyJob = async (req, res) => {
+  try {
+    const job = await getSuggestJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Taxonomy job not found." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved taxonomy job.",
+      data: job,
+    });
+  } catch (error) {
+    sendError(res, error, "retrieve taxonomy job");
+  }
+};
+
+/**
+ * @desc    Lists merge suggestions, best match first
+ * @route   GET /api/ges/taxonomy/suggestions?status=pending&kind=&university=&page=&limit=
+ */
+exports.listSuggestions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const { total, suggestions } = await listSuggestions(req.query, pageNum, limitNum);
+    res.status(200).json({
+      message: "Successfully retrieved taxonomy suggestions.",
+      data: suggestions,
+      pagination: {
+        total_suggestions: total,
+        total_pages: Math.ceil(total / limitNum),
+        current_page: pageNum,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "retrieve taxonomy suggestions");
+  }
+};
+
+/**
+ * @desc    Approves a merge suggestion, folding the source entry into the target
+ * @route   POST /api/ges/taxonomy/suggestions/:id/approve  Body: { name? }
+ */
+exports.approveSuggestion = async (req, res) => {
+  try {
+    const result = await approveSuggestion(req.params.id, {
+      name: (req.body || {}).name,
+      decidedBy: req.userId || null,
+    });
+    if (!result) {
+      return res.status(404).json({ message: "Suggestion not found." });
+    }
+    res.status(200).json({
+      message: `Merged '${result.suggestion.source_name}' into '${result.entry.name}'.`,
+      data: result,
+    });
+  } catch (error) {
+    sendError(res, error, "approve taxonomy suggestion");
+  }
+};
+
+/**
+ * @desc    Rejects a merge suggestion so the pair isn't proposed again
+ * @route   POST /api/ges/taxonomy/suggestions/:id/reject
+ */
+exports.rejectSuggestion = async (req, res) => {
+  try {
+    const suggestion = await rejectSuggestion(req.params.id, { decidedBy: req.userId || null });
+    if (!suggestion) {
+      return res.status(404).json({ message: "Suggestion not found." });
+    }
+    res.status(200).json({
+      message: "Suggestion rejected.",
+      data: suggestion,
+    });
+  } catch (error) {
+    sendError(res, error, "reject taxonomy suggestion");
+  }
+};
+
+/**
+ * @desc    Merges two schools or degrees by hand, for renames too different to be suggested
+ * @route   POST /api/ges/taxonomy/merge  Body: { source_id, target_id, name? }
+ */
+exports.mergeEntries = async (req, res) => {
+  try {
+    const { source_id, target_id, name } = req.body || {};
+    if (!source_id || !target_id) {
+      return res
+        .status(400)
+        .json({ message: "Request body must contain source_id and target_id." });
+    }
+    const result = await mergeEntries(String(source_id), String(target_id), {
+      name,
+      decidedBy: req.userId || null,
+    });
+    res.status(200).json({
+      message: `Merged '${result.suggestion.source_name}' into '${result.entry.name}'.`,
+      data: result,
+    });
+  } catch (error) {
+    sendError(res, error, "merge taxonomy entries");
+  }
+};
+
+/**
+ * @desc    GES history for a canonical degree across every raw name it has gone by,
+ *          one record per year. Supports ?real=true&baseYear= like the raw history.
+ * @route   GET /api/ges/history/:canonicalId
+ */
+exports.getCanonicalHistory = async (req, res) => {
+  try {
+    const realOptions = parseRealOptions(req.query);
+    const history = await getCanonicalHistory(req.params.canonicalId);
+    if (history.records.length === 0) {
+      return res
+        .status(404)
+        .json({ message: "No historical data found for the specified degree." });
+    }
+
+    const deflator = realOptions ? await getDeflator(realOptions) : null;
+    res.status(200).json({
+      message: "Successfully retrieved historical data.",
+      canonical_id: history.degree.canonical_id,
+      degree: history.degree,
+      school: history.school,
+      duplicate_years: history.duplicate_years,
+      data: deflator
+        ? history.records.map((record) => deflateRecord(record, deflator))
+        : history.records,
+      ...(deflator
+        ? { deflator: describeDeflator(deflator, history.records.map((record) => record.year)) }
+        : {}),
+    });
+  } catch (error) {
+    sendError(res, error, "fetch canonical degree history");
+  }
+};
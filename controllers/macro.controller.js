@@ -0,0 +1,78 @@
+const { findDataset } = require("../services/datasetRegistry.service");
+const {
+  FREQUENCIES,
+  resolveTimeseriesConfig,
+  getSeries,
+  listSeries,
+} = require("../services/macro.service");
+
+/**
+ * @desc    Lists the series available for a macroeconomic dataset
+ * @route   GET /api/macro/:dataset
+ */
+exports.listMacroSeries = async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const series = await listSeries(dataset);
+
+    if (series.length === 0) {
+      return res
+        .status(404)
+        .json({ message: `No time-series data found for '${dataset}'.` });
+    }
+
+    res.status(200).json({
+      message: `Successfully retrieved series for '${dataset}'.`,
+      data: series,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not list macro series:", error);
+    res.status(500).json({ message: "Failed to retrieve series list." });
+  }
+};
+
+/**
+ * @desc    Returns one macroeconomic series, optionally ranged and resampled
+ * @route   GET /api/macro/:dataset/:series?from=2015&to=2024-06&frequency=annual
+ */
+exports.getMacroSeries = async (req, res) => {
+  try {
+    const { dataset, series } = req.params;
+    const { from, to, frequency } = req.query;
+
+    if (frequency && !FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        message: `Invalid frequency '${frequency}'. Expected one of: ${FREQUENCIES.join(", ")}.`,
+      });
+    }
+
+    const registered = await findDataset(dataset);
+    const config = registered ? resolveTimeseriesConfig(registered) : null;
+    const result = await getSeries(dataset, series, {
+      from,
+      to,
+      frequency,
+      aggregation: config ? config.aggregation : undefined,
+    });
+
+    if (result.points.length === 0) {
+      return res.status(404).json({
+        message: `No data found for series '${series}' in '${dataset}'.`,
+      });
+    }
+
+    res.status(200).json({
+      message: "Successfully retrieved series.",
+      dataset,
+      series,
+      ...result,
+      count: result.points.length,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("[ERROR] Could not fetch macro series:", error);
+    res.status(500).json({ message: "Failed to retrieve series." });
+  }
+};
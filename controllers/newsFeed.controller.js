@@ -0,0 +1,155 @@
+const NewsFeed = require("../models/newsFeed.model");
+const { findFeed, listFeeds, pollFeed } = require("../services/newsFeed.service");
+
+// Fields a client may set through the API. `name` is only accepted on create;
+// the cursor and poll status are only ever written by polling.
+const EDITABLE_FIELDS = ["url", "source", "enabled"];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+
+// Maps Mongoose validation and duplicate-key errors onto 400/409 responses.
+const sendWriteError = (res, error, action) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res
+      .status(409)
+      .json({ message: "A feed with that name is already registered." });
+  }
+  console.error(`[ERROR] Could not ${action} feed:`, error);
+  res.status(500).json({ message: `Failed to ${action} feed.` });
+};
+
+/**
+ * @desc    Lists every registered news feed with its cursor and last poll status
+ * @route   GET /api/feeds
+ */
+exports.listFeeds = async (req, res) => {
+  try {
+    const feeds = await listFeeds();
+    res.status(200).json({
+      message: "Successfully retrieved news feeds.",
+      count: feeds.length,
+      data: feeds,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not list news feeds:", error);
+    res.status(500).json({ message: "Failed to retrieve news feeds." });
+  }
+};
+
+/**
+ * @desc    Gets a single registered news feed by name
+ * @route   GET /api/feeds/:name
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const feed = await findFeed(req.params.name);
+    if (!feed) {
+      return res.status(404).json({ message: "News feed not found." });
+    }
+    res.status(200).json({
+      message: "Successfully retrieved news feed.",
+      data: feed,
+    });
+  } catch (error) {
+    console.error("[ERROR] Could not fetch news feed:", error);
+    res.status(500).json({ message: "Failed to retrieve news feed." });
+  }
+};
+
+/**
+ * @desc    Registers an RSS/Atom feed. Body: { name, url, source?, enabled? }
+ * @route   POST /api/feeds
+ */
+exports.createFeed = async (req, res) => {
+  try {
+    const feed = await NewsFeed.create({
+      name: req.body.name,
+      ...pickEditable(req.body),
+    });
+    res.status(201).json({
+      message: `Feed '${feed.name}' registered.`,
+      data: feed,
+    });
+  } catch (error) {
+    sendWriteError(res, error, "register");
+  }
+};
+
+/**
+ * @desc    Updates a registered feed. The name and cursor cannot be changed.
+ * @route   PATCH /api/feeds/:name
+ */
+exports.updateFeed = async (req, res) => {
+  try {
+    const feed = await NewsFeed.findOneAndUpdate(
+      { name: req.params.name.toLowerCase() },
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!feed) {
+      return res.status(404).json({ message: "News feed not found." });
+    }
+    res.status(200).json({
+      message: `Feed '${feed.name}' updated.`,
+      data: feed,
+    });
+  } catch (error) {
+    sendWriteError(res, error, "update");
+  }
+};
+
+/**
+ * @desc    Removes a feed. Articles already ingested from it are kept.
+ * @route   DELETE /api/feeds/:name
+ */
+exports.deleteFeed = async (req, res) => {
+  try {
+    const result = await NewsFeed.deleteOne({ name: req.params.name.toLowerCase() });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "News feed not found." });
+    }
+    res.status(200).json({ message: "News feed successfully removed." });
+  } catch (error) {
+    console.error("[ERROR] Could not delete news feed:", error);
+    res.status(500).json({ message: "Failed to delete news feed." });
+  }
+};
+
+/**
+ * @desc    Fetches a feed now and ingests the items it hasn't seen before
+ * @route   POST /api/feeds/:name/poll
+ */
+exports.pollFeed = async (req, res) => {
+  try {
+    const feed = await findFeed(req.params.name);
+    if (!feed) {
+      return res.status(404).json({ message: "News feed not found." });
+    }
+    if (!feed.enabled) {
+      return res
+        .status(409)
+        .json({ message: `Feed '${feed.name}' is disabled. Enable it before polling.` });
+    }
+
+    const result = await pollFeed(feed);
+    res.status(200).json({
+      message: `Polled '${feed.name}': ${result.new} new, ${result.merged} merged into existing, ${result.skipped} skipped as duplicates.`,
+      data: result,
+    });
+  } catch (error) {
+    if (error.status === 502) {
+      return res
+        .status(502)
+        .json({ message: `Could not read feed: ${error.message}` });
+    }
+    console.error("[ERROR] Could not poll news feed:", error);
+    res.status(500).json({ message: "Failed to poll news feed." });
+  }
+};
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+
+// Use after jwtauth. The role is read from the database on every request rather
+// than from the token, so revoking admin takes effect straight away.
+const adminauth = async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.userId)) {
+        return res.status(403).json({ message: 'Admin access required' });
+    }
+    try {
+        const user = await User.findById(req.userId).select('role').lean();
+        if (!user || user.role !== 'admin') {
+            return res.status(403).json({ message: 'Admin access required' });
+        }
+        next();
+    } catch (err) {
+        console.error('[ERROR] Could not check admin role:', err);
+        res.status(500).json({ message: 'Failed to check permissions.' });
+    }
+};
+
+module.exports = adminauth;
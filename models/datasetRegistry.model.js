@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { parseCron } = require('../utils/cron');
+
+// Collections the app itself owns. A full load drops its target collection, so a
+// dataset pointed at one of these would wipe users, job history and so on.
+const RESERVED_COLLECTIONS = [
+    'users',
+    'dataset_registry',
+    'etl_runs',
+    'etl_rejects',
+    'macro_timeseries',
+    'school_summary',
+    'news_raw',
+    'news_feeds',
+    'news_tag_jobs',
+    'sentiment_jobs',
+    'sentiment_lexicon',
+    'forecast_runs',
+    'forecast_jobs',
+    'ges_taxonomy',
+    'ges_taxonomy_jobs',
+    'ges_taxonomy_suggestions'
+];
+
+// True for app-owned collections, MongoDB's system.* ones and ETL staging collections.
+const isReservedCollection = (name) => {
+    const lower = String(name).toLowerCase();
+    return RESERVED_COLLECTIONS.includes(lower) ||
+        lower.startsWith('system') ||
+        lower.endsWith('_staging');
+};
+
+// One document per data.gov.sg resource that the ETL pipeline knows how to load.
+const datasetRegistrySchema = new mongoose.Schema({
+    // Friendly name used in routes, e.g. /api/etl/load/:datasetName
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_-]+$/, 'may only contain letters, numbers, dashes and underscores']
+    },
+    // data.gov.sg ids look like d_3c55210de27fcccda2ed0c63fdd2b352; they also name fixture files
+    resource_id: {
+        type: String,
+        required: [true, 'resource_id is required'],
+        trim: true,
+        match: [/^d_[0-9a-f]{32}$/, 'must be a data.gov.sg resource id (d_ followed by 32 hex characters)']
+    },
+    // Target MongoDB collection for the records
+    collectionName: {
+        type: String,
+        required: [true, 'collectionName is required'],
+        trim: true,
+        match: [/^[A-Za-z0-9_]+$/, 'may only contain letters, numbers and underscores'],
+        validate: {
+            validator: (v) => !isReservedCollection(v),
+            message: 'is reserved for the app and cannot be an ETL target'
+        }
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Fields that uniquely identify a record, used by incremental loads
+    naturalKey: {
+        type: [String],
+        validate: [(v) => v.length > 0, 'must contain at least one field']
+    },
+    // Optional renames applied to upstream records: { upstreamField: storedField }
+    fieldMapping: {
+        type: Map,
+        of: String,
+        default: undefined
+    },
+    // Optional declarative schema overriding the built-in one (see etlSchema.service)
+    recordSchema: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    // Optional macro_timeseries reshaping config overriding the built-in one (see macro.service)
+    timeseries: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    // Cron expression (server-local time) for the automatic refresh; null disables it
+    schedule: {
+        type: String,
+        default: null,
+        validate: {
+            validator: (v) => {
+                if (v === null) return true;
+                try {
+                    parseCron(v);
+                    return true;
+                } catch (err) {
+                    return false;
+                }
+            },
+            message: 'is not a valid cron expression'
+        }
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+datasetRegistrySchema.statics.isReservedCollection = isReservedCollection;
+
+module.exports = mongoose.model('DatasetRegistry', datasetRegistrySchema, 'dataset_registry');
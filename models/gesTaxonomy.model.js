@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Canonical GES schools and degrees. Each entry lists the raw names it covers in
+// ges_raw, so renamed faculties and degrees read as one history.
+const gesTaxonomySchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        required: true,
+        enum: ['school', 'degree']
+    },
+    // Stable id used by the API, e.g. "national-university-of-singapore--school-of-computing"
+    canonical_id: {
+        type: String,
+        required: true,
+        unique: true,
+        match: [/^[a-z0-9-]+$/, 'may only contain lowercase letters, numbers and dashes']
+    },
+    university: {
+        type: String,
+        required: true
+    },
+    // Display name; defaults to the most recent raw name
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Degrees only: canonical_id of the school the degree belongs to
+    school_id: {
+        type: String,
+        default: null
+    },
+    // Raw ges_raw names covered by this entry: school names for schools, degree
+    // names (under any of the school's aliases) for degrees
+    aliases: {
+        type: [String],
+        default: []
+    },
+    // Ids of entries merged into this one, so links to them keep working
+    merged_ids: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+gesTaxonomySchema.index({ kind: 1, university: 1, school_id: 1 });
+gesTaxonomySchema.index({ merged_ids: 1 });
+
+module.exports = mongoose.model('GesTaxonomy', gesTaxonomySchema, 'ges_taxonomy');
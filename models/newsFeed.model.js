@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { isPublicHttpUrl } = require('../utils/publicUrl');
+
+// One document per RSS/Atom feed that news is ingested from.
+const newsFeedSchema = new mongoose.Schema({
+    // Friendly name used in routes, e.g. /api/feeds/:name/poll
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_-]+$/, 'may only contain letters, numbers, dashes and underscores']
+    },
+    // Public http(s) URL; localhost and private addresses are rejected
+    url: {
+        type: String,
+        required: [true, 'url is required'],
+        trim: true,
+        validate: [isPublicHttpUrl, 'must be a public http(s) URL']
+    },
+    // Publisher name stored as source.name; defaults to the feed's own title
+    source: {
+        type: String,
+        default: ''
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Last-seen cursor: items older than published_at, or whose id is in item_ids,
+    // have already been ingested
+    cursor: {
+        published_at: { type: Date, default: null },
+        item_ids: { type: [String], default: [] }
+    },
+    last_polled_at: {
+        type: Date,
+        default: null
+    },
+    last_status: {
+        type: String,
+        enum: ['ok', 'failed', null],
+        default: null
+    },
+    last_error: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+module.exports = mongoose.model('NewsFeed', newsFeedSchema, 'news_feeds');
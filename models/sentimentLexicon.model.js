@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Labour-market terms layered over the stock AFINN lexicon when scoring news.
+const sentimentLexiconSchema = new mongoose.Schema({
+    // A single word ("retrenchment") or a phrase ("hiring freeze")
+    term: {
+        type: String,
+        required: [true, 'Term is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9'-]+( [a-z0-9'-]+)*$/, 'must be words separated by single spaces']
+    },
+    // Same scale as AFINN: -5 (very negative) to 5 (very positive)
+    score: {
+        type: Number,
+        required: [true, 'Score is required'],
+        min: -5,
+        max: 5
+    },
+    note: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields automatically
+});
+
+module.exports = mongoose.model('SentimentLexicon', sentimentLexiconSchema, 'sentiment_lexicon');
@@ -27,6 +27,13 @@ const userSchema = new mongoose.Schema({
     lastLoginAt: {
         type: Date,
         default: null
+    },
+    // Admins can change shared data such as the GES taxonomy. Never set from a
+    // request body; grant it directly in the database.
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
     }
     // You can add prefs and stats here later if needed
     // prefs: { type: Map, of: String },
@@ -4,25 +4,64 @@ const router = express.Router();
 const apiController = require('../controllers/api.controller');
 const gesController = require('../controllers/ges.controller');
 const aiController = require('../controllers/ai.controller');
+const datasetRegistryController = require('../controllers/datasetRegistry.controller');
+const macroController = require('../controllers/macro.controller');
+const newsFeedController = require('../controllers/newsFeed.controller');
+const gesTaxonomyController = require('../controllers/gesTaxonomy.controller');
 // --- Import Middleware ---
 const jwtauth = require('../middleware/jwtauth');
+const adminauth = require('../middleware/adminauth');
 
 // =================================================================
 // --- ETL & Data Loading Routes ---
 // =================================================================
-// Loads a dataset from data.gov.sg into the respective collection
+// Queues a load of a dataset from data.gov.sg into the respective collection (?mode=full|incremental)
 router.post('/etl/load/:datasetName', jwtauth, apiController.loadDataset);
+// Progress of a queued/running load, and the history of past loads
+router.get('/etl/jobs/:id', jwtauth, apiController.getEtlJob);
+router.get('/etl/runs', jwtauth, apiController.listEtlRuns);
+// Rows quarantined by per-dataset schema validation
+router.get('/etl/rejects', jwtauth, apiController.listEtlRejects);
+// Automatic refresh schedule for each dataset
+router.get('/etl/schedule', jwtauth, apiController.getEtlSchedule);
+// Manage the registry of data.gov.sg datasets that can be loaded. Changes are admin-only:
+// an entry decides which URL ETL fetches and which collection a load replaces.
+router.get('/etl/datasets', jwtauth, datasetRegistryController.listDatasets);
+router.post('/etl/datasets', jwtauth, adminauth, datasetRegistryController.createDataset);
+router.get('/etl/datasets/:name', jwtauth, datasetRegistryController.getDataset);
+router.patch('/etl/datasets/:name', jwtauth, adminauth, datasetRegistryController.updateDataset);
+router.delete('/etl/datasets/:name', jwtauth, adminauth, datasetRegistryController.deleteDataset);
 
 
+// =================================================================
+// --- Macroeconomic Time-Series Routes ---
+// =================================================================
+// Normalised series built from the wide-format data.gov.sg tables during ETL
+router.get('/macro/:dataset', jwtauth, macroController.listMacroSeries);
+router.get('/macro/:dataset/:series', jwtauth, macroController.getMacroSeries);
+
 // =================================================================
 // --- News Management Routes (Joe)---
 // =================================================================
 // Upload one or more news articles directly to the database
 router.post('/news/upload', jwtauth, gesController.uploadNews);
 
-// Get a paginated list of all news articles in the database
+// Search news articles (q, from/to, source, provider, sentiment, degree, industry,
+// university, school, occupation) with facets
 router.get('/news', jwtauth, gesController.listNews);
 
+// Re-tag existing articles with universities, degrees, industries and occupations, then poll the job
+router.post('/news/tag', jwtauth, gesController.retagNews);
+router.get('/news/tag/jobs/:id', jwtauth, gesController.getNewsTagJob);
+
+// RSS/Atom feed registry; polling ingests items newer than the feed's last-seen cursor
+router.get('/feeds', jwtauth, newsFeedController.listFeeds);
+router.post('/feeds', jwtauth, newsFeedController.createFeed);
+router.get('/feeds/:name', jwtauth, newsFeedController.getFeed);
+router.patch('/feeds/:name', jwtauth, newsFeedController.updateFeed);
+router.delete('/feeds/:name', jwtauth, newsFeedController.deleteFeed);
+router.post('/feeds/:name/poll', jwtauth, newsFeedController.pollFeed);
+
 // Delete a specific news article by its ID
 router.get('/news/:id', jwtauth, gesController.getNewsArticleById);
 
@@ -32,9 +71,19 @@ router.delete('/news/:id', jwtauth, gesController.deleteNews);
 // =================================================================
 // --- NLP & Sentiment Routes (Joe)---
 // =================================================================
-// Analyze the sentiment for a specific news article by its ID
+// Analyze the sentiment for a specific news article by its ID (GET previews, POST stores)
 router.get('/sentiment/analyze/:id', jwtauth, gesController.getArticleSentiment);
+router.post('/sentiment/analyze/:id', jwtauth, gesController.analyzeArticleSentiment);
+// Re-score existing articles in the background, then poll the job
+router.post('/sentiment/reanalyze', jwtauth, gesController.reanalyzeSentiment);
+router.get('/sentiment/jobs/:id', jwtauth, gesController.getSentimentJob);
 router.get('/sentiment/overall', jwtauth, gesController.getOverallSentiment);
+// Sentiment over time by day/week/month (?interval=&window=&from=&to=&provider=&q=)
+router.get('/sentiment/trend', jwtauth, gesController.getSentimentTrend);
+// Labour-market lexicon layered on AFINN (PUT body: { score: -5..5, note }); edits are admin-only
+router.get('/sentiment/lexicon', jwtauth, gesController.listLexicon);
+router.put('/sentiment/lexicon/:term', jwtauth, adminauth, gesController.upsertLexiconTerm);
+router.delete('/sentiment/lexicon/:term', jwtauth, adminauth, gesController.deleteLexiconTerm);
 
 // =================================================================
 // --- GES Routes (Joe)---
@@ -43,15 +92,39 @@ router.get('/ges/universities', jwtauth, gesController.getUniqueUniversities);
 router.get('/ges/schools/:university', jwtauth, gesController.getUniqueSchoolsByUniversity);
 router.get('/ges/degrees/:university/:school', jwtauth, gesController.getDegreesBySchoolForLatestYear);
 router.get('/ges/history/:university/:school/:degree', jwtauth, gesController.getDegreeHistory);
+// Side-by-side comparison of 2-6 degrees
+router.post('/ges/compare', jwtauth, gesController.compareDegrees);
+// Canonical schools/degrees over renamed GES names; the suggest job proposes merges for
+// admins to approve. Anything that changes the taxonomy is admin-only.
+router.get('/ges/taxonomy', jwtauth, gesTaxonomyController.listTaxonomy);
+router.post('/ges/taxonomy/suggest', jwtauth, adminauth, gesTaxonomyController.suggestMerges);
+router.get('/ges/taxonomy/jobs/:id', jwtauth, gesTaxonomyController.getTaxonomyJob);
+router.get('/ges/taxonomy/suggestions', jwtauth, gesTaxonomyController.listSuggestions);
+router.post('/ges/taxonomy/suggestions/:id/approve', jwtauth, adminauth, gesTaxonomyController.approveSuggestion);
+router.post('/ges/taxonomy/suggestions/:id/reject', jwtauth, adminauth, gesTaxonomyController.rejectSuggestion);
+router.post('/ges/taxonomy/merge', jwtauth, adminauth, gesTaxonomyController.mergeEntries);
+router.get('/ges/taxonomy/:id', jwtauth, gesTaxonomyController.getTaxonomyEntry);
+// History of a canonical degree across all its raw names
+router.get('/ges/history/:canonicalId', jwtauth, gesTaxonomyController.getCanonicalHistory);
 // =================================================================
 // --- Forecasting Routes (Joe) ---
 // =================================================================
 // Trigger a new forecast model run
 router.post('/forecast/run', jwtauth, gesController.runForecast);
+// Past runs for a degree with actuals alongside, to see how forecasts drifted
+router.get('/forecast/history/:university/:school/:degree', jwtauth, gesController.getForecastHistory);
+router.get('/forecast/history/:canonicalId', jwtauth, gesController.getForecastHistory);
+// Forecast every degree in the background, then rank them (?sort=growth|salary|confidence&university=)
+router.post('/forecast/batch', jwtauth, gesController.runBatchForecast);
+router.get('/forecast/jobs/:id', jwtauth, gesController.getForecastJob);
+router.get('/forecast/leaderboard', jwtauth, gesController.getForecastLeaderboard);
 
 // Get the processed school summary data
 router.get('/summary/schools', jwtauth, apiController.getSchoolSummary);
 
+// Search schools by name, zone and level (served from school_info or a cached upstream copy)
+router.get('/fetch-schools', jwtauth, apiController.fetchSchools);
+
 // =================================================================
 // --- AI Generation Routes ---
 // =================================================================
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+
+// Single entry point for every call to the data.gov.sg datastore API.
+// DATA_GOV_MODE picks how calls are served:
+//   live   (default) - call data.gov.sg
+//   record           - call data.gov.sg and save each response under the fixtures dir
+//   replay           - serve saved responses from disk, never touching the network
+// so ETL and the schools proxy can run offline or in CI against recorded data.
+const DATA_GOV_BASE_URL = "https://data.gov.sg/api/action/datastore_search";
+const MODES = ["live", "record", "replay"];
+
+const getMode = () => {
+  const mode = (process.env.DATA_GOV_MODE || "live").toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(
+      `Invalid DATA_GOV_MODE '${mode}'. Expected one of: ${MODES.join(", ")}.`
+    );
+  }
+  return mode;
+};
+
+const fixturesDir = () =>
+  process.env.DATA_GOV_FIXTURES_DIR ||
+  path.resolve(__dirname, "..", "fixtures", "datagov");
+
+// One file per distinct request, e.g. d_3c55..._limit1000_offset2000.json.
+// resource_id comes from the editable dataset registry, so a path that would land
+// outside the fixtures dir (../../x) is refused rather than read or written.
+const fixturePath = ({ resourceId, limit, offset }) => {
+  const dir = path.resolve(fixturesDir());
+  const file = path.resolve(dir, `${resourceId}_limit${limit}_offset${offset}.json`);
+  if (path.dirname(file) !== dir) {
+    throw new Error(`Invalid resource id '${resourceId}' for a fixture file.`);
+  }
+  return file;
+};
+
+/**
+ * Calls datastore_search for one page of a resource.
+ * @param {object} params
+ * @param {string} params.resourceId - data.gov.sg resource id, e.g. "d_3c55..."
+ * @param {number} [params.limit]
+ * @param {number} [params.offset]
+ * @returns {Promise<object>} The parsed response body ({ success, result: { total, records } }).
+ */
+exports.datastoreSearch = async ({ resourceId, limit = 100, offset = 0 }) => {
+  const mode = getMode();
+  const file = fixturePath({ resourceId, limit, offset });
+
+  if (mode === "replay") {
+    if (!fs.existsSync(file)) {
+      throw new Error(
+        `No recorded fixture for ${resourceId} (limit ${limit}, offset ${offset}) at ${file}. Record it with DATA_GOV_MODE=record first.`
+      );
+    }
+    return JSON.parse(await fs.promises.readFile(file, "utf-8"));
+  }
+
+  const url = `${DATA_GOV_BASE_URL}?resource_id=${encodeURIComponent(resourceId)}&limit=${limit}&offset=${offset}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`data.gov.sg responded with HTTP ${response.status}.`);
+  }
+  const body = await response.json();
+
+  // Only successful responses are worth replaying.
+  if (mode === "record" && body.success) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(body, null, 2));
+    console.log(`[DATA.GOV] Recorded fixture ${path.basename(file)}`);
+  }
+
+  return body;
+};
+
+exports.getMode = getMode;
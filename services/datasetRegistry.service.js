@@ -0,0 +1,98 @@
+const DatasetRegistry = require("../models/datasetRegistry.model");
+
+// Datasets seeded into dataset_registry on startup when they aren't registered yet.
+// naturalKey lists the fields that uniquely identify a record, used by incremental loads.
+// schedule is a cron expression (server-local time) for the automatic refresh.
+const DEFAULT_DATASETS = [
+  {
+    name: "ges",
+    resource_id: "d_3c55210de27fcccda2ed0c63fdd2b352",
+    description: "Graduate Employment Survey",
+    collectionName: "ges_raw",
+    naturalKey: ["university", "school", "degree", "year"],
+    schedule: "0 3 15 3 *", // Yearly, after the GES release
+  },
+  {
+    name: "cpi",
+    resource_id: "d_bdaff844e3ef89d39fceb962ff8f0791",
+    description: "Consumer Price Index (Monthly) 2024 base year",
+    collectionName: "cpi_monthly",
+    naturalKey: ["DataSeries"],
+    schedule: "0 3 5 * *", // Monthly
+  },
+  {
+    name: "unemployment",
+    resource_id: "d_95d364f9050bce1c834390ceed366b93",
+    description: "Unemployment Rate (Annual)",
+    collectionName: "unemp_ann",
+    naturalKey: ["DataSeries"],
+    schedule: "0 3 1 2 *", // Yearly
+  },
+  {
+    name: "vacancies",
+    resource_id: "d_f3bbdfbf92b811fff364aeed23b5e0bb",
+    description: "Job Vacancies (Quarterly)",
+    collectionName: "job_vacancies_qtr",
+    naturalKey: ["DataSeries"],
+    schedule: "0 3 1 1,4,7,10 *", // Quarterly
+  },
+  {
+    name: "gdpindustryquarterly",
+    resource_id: "d_6d144381f0f4b775e29364b85f04b9af",
+    description: "GDP by Industry (Quarterly)",
+    collectionName: "gdp_industry_qtr",
+    naturalKey: ["DataSeries"],
+    schedule: "0 3 1 1,4,7,10 *", // Quarterly
+  },
+  {
+    name: "medianincome",
+    resource_id: "d_9cd9c40f22a4e45cac8f8b9d895fd5ce",
+    description: "Median Gross Monthly Income From Employment",
+    collectionName: "median_monthly_income",
+    naturalKey: ["year"],
+    schedule: "0 3 1 2 *", // Yearly
+  },
+  {
+    name: "schoolinfo",
+    resource_id: "d_688b934f82c1059ed0a6993d2a829089",
+    description: "General information of schools",
+    collectionName: "school_info",
+    naturalKey: ["school_name"],
+    schedule: "0 3 1 * *", // Monthly
+  },
+];
+
+
+/**
+ * Inserts any default dataset that isn't registered yet.
+ * Existing entries are left alone so edits made through the API survive restarts.
+ */
+exports.seedDefaultDatasets = async () => {
+  const result = await DatasetRegistry.bulkWrite(
+    DEFAULT_DATASETS.map((dataset) => ({
+      updateOne: {
+        filter: { name: dataset.name },
+        update: { $setOnInsert: dataset },
+        upsert: true,
+      },
+    }))
+  );
+  if (result.upsertedCount > 0) {
+    console.log(
+      `[REGISTRY] Seeded ${result.upsertedCount} default datasets into dataset_registry.`
+    );
+  }
+};
+
+/**
+ * Returns a registered dataset by its friendly name, or null.
+ */
+exports.findDataset = (name) =>
+  DatasetRegistry.findOne({ name: String(name).toLowerCase() }).lean();
+
+/**
+ * Lists registered datasets, alphabetically.
+ * @param {object} [filter] - e.g. { enabled: true }
+ */
+exports.listDatasets = (filter = {}) =>
+  DatasetRegistry.find(filter).sort({ name: 1 }).lean();
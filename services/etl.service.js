@@ -0,0 +1,411 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const getModel = require("../models/flexibleData.model");
+const DatasetRegistry = require("../models/datasetRegistry.model");
+const { createJobQueue } = require("./jobQueue.service");
+const {
+  resolveSchema,
+  applySchema,
+  maxRejectRatio,
+} = require("./etlSchema.service");
+const { rebuildTimeseries } = require("./macro.service");
+const { datastoreSearch } = require("./dataGovClient.service");
+
+const BATCH_SIZE = 1000;
+
+// Used when a load runs outside the job queue and nobody is listening for progress.
+const noProgress = {
+  jobId: null,
+  report: async () => {},
+  error: async () => {},
+};
+
+// Every load runs as a job; its document in etl_runs is the run history.
+const etlQueue = createJobQueue("etl_runs");
+
+// Supported load modes for /api/etl/load/:datasetName
+const LOAD_MODES = ["full", "incremental"];
+exports.LOAD_MODES = LOAD_MODES;
+
+/**
+ * Fetches every page of a data.gov.sg datastore resource.
+ * Unlike the old loader, a failed page aborts the whole fetch instead of
+ * being silently dropped, so a partial dataset never reaches MongoDB.
+ * @param {object} dataset - An entry from dataset_registry.
+ * @param {object} [progress] - Job progress reporter (see jobQueue.service).
+ * @returns {Promise<{ total: number, records: object[] }>}
+ */
+exports.fetchAllRecords = async (dataset, progress = noProgress) => {
+  const fetchPage = async (offset) => {
+    const data = await datastoreSearch({
+      resourceId: dataset.resource_id,
+      limit: BATCH_SIZE,
+      offset,
+    });
+    if (!data.success) {
+      throw new Error(`data.gov.sg call failed at offset ${offset}.`);
+    }
+    return data.result;
+  };
+
+  const firstPage = await fetchPage(0);
+  const total = firstPage.total;
+  const pagesTotal = Math.max(1, Math.ceil(total / BATCH_SIZE));
+  let records = firstPage.records;
+  let pagesFetched = 1;
+  await progress.report({
+    pages_total: pagesTotal,
+    pages_fetched: pagesFetched,
+    records_fetched: records.length,
+  });
+
+  if (total > BATCH_SIZE) {
+    const fetchPromises = [];
+    for (let offset = BATCH_SIZE; offset < total; offset += BATCH_SIZE) {
+      fetchPromises.push(
+        fetchPage(offset).then(async (page) => {
+          pagesFetched += 1;
+          await progress.report({ pages_fetched: pagesFetched });
+          return page;
+        })
+      );
+    }
+    const additionalPages = await Promise.all(fetchPromises);
+    additionalPages.forEach((page) => {
+      records = records.concat(page.records);
+    });
+    await progress.report({ records_fetched: records.length });
+  }
+
+  // data.gov.sg adds its own numeric _id, which we don't want to keep.
+  const sanitizedRecords = records.map((record) => {
+    const { _id, ...rest } = record;
+    return rest;
+  });
+
+  return { total, records: sanitizedRecords };
+};
+
+/**
+ * Renames upstream fields according to the dataset's optional fieldMapping
+ * ({ upstreamField: storedField }). Unmapped fields are kept as they are.
+ */
+const applyFieldMapping = (dataset, records) => {
+  const mapping = dataset.fieldMapping;
+  if (!mapping || Object.keys(mapping).length === 0) return records;
+
+  return records.map((record) =>
+    Object.entries(record).reduce((mapped, [field, value]) => {
+      mapped[mapping[field] || field] = value;
+      return mapped;
+    }, {})
+  );
+};
+
+/**
+ * Hashes the content of a fetched dataset so unchanged upstream data can be detected.
+ * Keys are sorted within each record and records are sorted by their serialisation,
+ * so the hash doesn't depend on the order data.gov.sg happens to return things in.
+ */
+const contentHash = (records) => {
+  const lines = records
+    .map((record) =>
+      JSON.stringify(Object.keys(record).sort().map((k) => [k, record[k]]))
+    )
+    .sort();
+  return crypto.createHash("sha256").update(lines.join("\n")).digest("hex");
+};
+
+/**
+ * Finds the most recent load of a dataset that actually wrote data.
+ */
+const lastSuccessfulRun = (datasetName) =>
+  exports.listRuns(
+    { dataset: datasetName, status: "completed", skipped: { $ne: true } },
+    1
+  ).then((runs) => runs[0] || null);
+
+/**
+ * Builds the natural-key filter for a record, e.g.
+ * { university, school, degree, year } for GES.
+ */
+const naturalKeyFilter = (dataset, record) =>
+  dataset.naturalKey.reduce((filter, field) => {
+    filter[field] = record[field];
+    return filter;
+  }, {});
+
+/**
+ * Checks a fetched batch before it is allowed anywhere near the live collection.
+ * Returns a list of human-readable problems (empty when the batch is valid).
+ * @param {object[]} records - Records that passed the dataset's schema.
+ * @param {number} fetchedCount - Records fetched before schema validation.
+ * @param {number} total - Record count reported by upstream.
+ * @param {number} rejectedCount - Records quarantined by the schema.
+ */
+const validateRecords = (dataset, records, fetchedCount, total, rejectedCount) => {
+  const problems = [];
+
+  if (records.length === 0) {
+    problems.push("No valid records to load.");
+  }
+  if (fetchedCount !== total) {
+    problems.push(
+      `Fetched ${fetchedCount} records but upstream reported ${total}.`
+    );
+  }
+
+  const limit = maxRejectRatio(resolveSchema(dataset));
+  if (fetchedCount > 0 && rejectedCount / fetchedCount > limit) {
+    problems.push(
+      `${rejectedCount} of ${fetchedCount} records failed schema validation (limit ${limit * 100}%).`
+    );
+  }
+
+  const missingKey = records.filter((record) =>
+    dataset.naturalKey.some(
+      (field) => record[field] === undefined || record[field] === null
+    )
+  ).length;
+  if (missingKey > 0) {
+    problems.push(
+      `${missingKey} records are missing a natural key field (${dataset.naturalKey.join(", ")}).`
+    );
+  }
+
+  return problems;
+};
+
+/**
+ * Stores rows that failed schema validation in etl_rejects with the reasons,
+ * so they can be inspected without polluting the live collection.
+ */
+const quarantineRejects = async (dataset, rejects, jobId) => {
+  if (rejects.length === 0) return;
+  const RejectModel = getModel("etl_rejects");
+  const rejectedAt = new Date();
+  await RejectModel.insertMany(
+    rejects.map(({ record, reasons }) => ({
+      dataset: dataset.name,
+      run_id: jobId,
+      record,
+      reasons,
+      rejected_at: rejectedAt,
+    }))
+  );
+};
+
+/**
+ * Full reload: writes the records into a staging collection and then swaps it
+ * over the live collection with a single rename, so readers either see the
+ * old data or the new data, never an empty or half-written collection.
+ */
+const stageAndSwap = async (dataset, records, progress) => {
+  const db = mongoose.connection.db;
+  const stagingName = `${dataset.collectionName}_staging`;
+  const staging = db.collection(stagingName);
+
+  await staging.drop().catch(() => {}); // Leftover from a previously failed run
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = records.slice(i, i + BATCH_SIZE);
+    await staging.insertMany(batch, { ordered: false });
+    await progress.report({ records_written: i + batch.length });
+  }
+
+  const stagedCount = await staging.countDocuments();
+  if (stagedCount !== records.length) {
+    await staging.drop().catch(() => {});
+    throw new Error(
+      `Staging collection has ${stagedCount} documents, expected ${records.length}.`
+    );
+  }
+
+  await db.renameCollection(stagingName, dataset.collectionName, {
+    dropTarget: true,
+  });
+
+  return { inserted: records.length, updated: 0, unchanged: 0 };
+};
+
+/**
+ * Incremental load: upserts each record on the dataset's natural key.
+ * MongoDB only reports a document as modified when a value actually changed,
+ * which lets us split matches into updated and unchanged.
+ */
+const upsertRecords = async (dataset, records, progress) => {
+  const collection = mongoose.connection.db.collection(dataset.collectionName);
+  const counts = { inserted: 0, updated: 0, unchanged: 0 };
+
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const operations = records.slice(i, i + BATCH_SIZE).map((record) => ({
+      updateOne: {
+        filter: naturalKeyFilter(dataset, record),
+        update: { $set: record },
+        upsert: true,
+      },
+    }));
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    counts.inserted += result.upsertedCount;
+    counts.updated += result.modifiedCount;
+    counts.unchanged += result.matchedCount - result.modifiedCount;
+    await progress.report({ records_written: i + operations.length });
+  }
+
+  return counts;
+};
+
+/**
+ * Runs a complete load for a dataset: fetch, validate, then either swap or upsert.
+ * @param {object} dataset - An entry from dataset_registry.
+ * @param {"full"|"incremental"} mode
+ * @param {object} [progress] - Job progress reporter (see jobQueue.service).
+ * @param {object} [options]
+ * @param {boolean} [options.skipIfUnchanged] - Don't write anything when the upstream
+ *   total and content hash match the last successful load.
+ */
+exports.runLoad = async (
+  dataset,
+  mode = "full",
+  progress = noProgress,
+  { skipIfUnchanged = false } = {}
+) => {
+  if (!LOAD_MODES.includes(mode)) {
+    throw new Error(`Unknown load mode '${mode}'.`);
+  }
+  // Registry entries saved before the collectionName check existed aren't validated.
+  if (DatasetRegistry.isReservedCollection(dataset.collectionName)) {
+    throw new Error(
+      `'${dataset.name}' targets reserved collection '${dataset.collectionName}', refusing to load.`
+    );
+  }
+
+  const fetched = await exports.fetchAllRecords(dataset, progress);
+  const total = fetched.total;
+  const { valid: records, rejects } = applySchema(
+    resolveSchema(dataset),
+    applyFieldMapping(dataset, fetched.records)
+  );
+  console.log(
+    `[ETL] '${dataset.name}': fetched ${fetched.records.length} of ${total} records, ${rejects.length} rejected.`
+  );
+
+  await quarantineRejects(dataset, rejects, progress.jobId);
+  await progress.report({ records_rejected: rejects.length });
+
+  const problems = validateRecords(
+    dataset,
+    records,
+    fetched.records.length,
+    total,
+    rejects.length
+  );
+  if (problems.length > 0) {
+    const error = new Error(
+      `Validation failed for '${dataset.name}', live collection left untouched.`
+    );
+    error.problems = problems;
+    throw error;
+  }
+
+  const hash = contentHash(records);
+
+  if (skipIfUnchanged) {
+    const previous = await lastSuccessfulRun(dataset.name);
+    if (
+      previous &&
+      previous.total_records_in_dataset === total &&
+      previous.content_hash === hash
+    ) {
+      console.log(`[ETL] '${dataset.name}' unchanged upstream, skipping.`);
+      return {
+        total,
+        fetched: fetched.records.length,
+        mode,
+        contentHash: hash,
+        skipped: true,
+        rejected: rejects.length,
+        inserted: 0,
+        updated: 0,
+        unchanged: records.length,
+      };
+    }
+  }
+
+  const counts =
+    mode === "incremental"
+      ? await upsertRecords(dataset, records, progress)
+      : await stageAndSwap(dataset, records, progress);
+  console.log(`[ETL] '${dataset.name}' (${mode}) complete:`, counts);
+
+  // Keep the normalised long-format copy of macro indicators in step with the load.
+  // The load itself has already been written by now, so a failed rebuild is logged on
+  // the run rather than failing it; the old observations stay until the next load.
+  try {
+    const timeseriesPoints = await rebuildTimeseries(dataset, records);
+    await progress.report({ timeseries_points: timeseriesPoints });
+  } catch (error) {
+    console.error(`[ETL] Could not rebuild macro time series for '${dataset.name}':`, error);
+    await progress.error(`macro_timeseries rebuild failed: ${error.message}`);
+  }
+
+  return {
+    total,
+    fetched: fetched.records.length,
+    mode,
+    contentHash: hash,
+    skipped: false,
+    rejected: rejects.length,
+    ...counts,
+  };
+};
+
+
+/**
+ * Queues a load for a dataset and returns its etl_runs document straight away.
+ * The job's progress (pages fetched, records written, errors) is written to
+ * the same document while it runs.
+ * @param {object} [options]
+ * @param {"manual"|"schedule"} [options.trigger] - What started the load.
+ * @param {boolean} [options.skipIfUnchanged] - See runLoad.
+ */
+exports.enqueueLoad = (
+  dataset,
+  mode = "full",
+  { trigger = "manual", skipIfUnchanged = false } = {}
+) =>
+  etlQueue.enqueue(
+    {
+      dataset: dataset.name,
+      resource_id: dataset.resource_id,
+      collection_name: dataset.collectionName,
+      mode,
+      trigger,
+      pages_total: null,
+      pages_fetched: 0,
+      records_fetched: 0,
+      records_written: 0,
+    },
+    async (progress) => {
+      const result = await exports.runLoad(dataset, mode, progress, {
+        skipIfUnchanged,
+      });
+      return {
+        skipped: result.skipped,
+        content_hash: result.contentHash,
+        total_records_in_dataset: result.total,
+        records_fetched: result.fetched,
+        inserted: result.inserted,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        records_rejected: result.rejected,
+      };
+    }
+  );
+
+exports.getRun = (id) => etlQueue.getJob(id);
+
+exports.listRuns = (filter, limit) => etlQueue.listJobs(filter, limit);
+
+exports.lastSuccessfulRun = lastSuccessfulRun;
+
+exports.markInterruptedRuns = () => etlQueue.markInterrupted();
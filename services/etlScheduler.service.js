@@ -0,0 +1,128 @@
+const { nextRun } = require("../utils/cron");
+const { enqueueLoad, listRuns } = require("./etl.service");
+const { listDatasets } = require("./datasetRegistry.service");
+
+// How often the scheduler checks whether any dataset is due.
+const TICK_MS = 60 * 1000;
+
+// dataset name -> { schedule, at } where `at` is the Date of its next scheduled load
+const nextRuns = new Map();
+let timer = null;
+
+const computeNextRun = (dataset, from = new Date()) => {
+  try {
+    return nextRun(dataset.schedule, from);
+  } catch (error) {
+    console.error(
+      `[SCHEDULER] Invalid schedule for '${dataset.name}':`,
+      error.message
+    );
+    return null;
+  }
+};
+
+/**
+ * Brings nextRuns in line with the registry, so datasets added, removed,
+ * disabled or rescheduled through the API take effect without a restart.
+ */
+const syncWithRegistry = async (now = new Date()) => {
+  const datasets = await listDatasets({ enabled: true, schedule: { $ne: null } });
+  const names = new Set(datasets.map((d) => d.name));
+
+  for (const name of nextRuns.keys()) {
+    if (!names.has(name)) nextRuns.delete(name);
+  }
+  for (const dataset of datasets) {
+    const entry = nextRuns.get(dataset.name);
+    if (!entry || entry.schedule !== dataset.schedule) {
+      nextRuns.set(dataset.name, {
+        schedule: dataset.schedule,
+        at: computeNextRun(dataset, now),
+      });
+    }
+  }
+
+  return datasets;
+};
+
+/**
+ * Queues a full load for every dataset whose next run has passed.
+ * Scheduled loads skip the write when upstream data hasn't changed.
+ */
+const tick = async () => {
+  const now = new Date();
+  let datasets;
+  try {
+    datasets = await syncWithRegistry(now);
+  } catch (error) {
+    console.error("[SCHEDULER] Could not read dataset_registry:", error.message);
+    return;
+  }
+
+  for (const dataset of datasets) {
+    const entry = nextRuns.get(dataset.name);
+    if (!entry.at || entry.at > now) continue;
+
+    entry.at = computeNextRun(dataset, now);
+    try {
+      const job = await enqueueLoad(dataset, "full", {
+        trigger: "schedule",
+        skipIfUnchanged: true,
+      });
+      console.log(
+        `[SCHEDULER] Queued scheduled load of '${dataset.name}' as job ${job._id}`
+      );
+    } catch (error) {
+      console.error(
+        `[SCHEDULER] Failed to queue '${dataset.name}':`,
+        error.message
+      );
+    }
+  }
+};
+
+/**
+ * Starts the in-process scheduler. Set ETL_SCHEDULER_ENABLED=false to turn it off
+ * (e.g. when several instances share one database).
+ */
+exports.startScheduler = async () => {
+  if (process.env.ETL_SCHEDULER_ENABLED === "false") {
+    console.log("[SCHEDULER] Disabled via ETL_SCHEDULER_ENABLED.");
+    return;
+  }
+  if (timer) return;
+
+  await syncWithRegistry();
+  timer = setInterval(tick, TICK_MS);
+  console.log(`[SCHEDULER] Watching ${nextRuns.size} dataset schedules.`);
+};
+
+/**
+ * Lists each registered dataset's schedule with its next run and the last run
+ * recorded in etl_runs.
+ */
+exports.getSchedule = async () => {
+  const datasets = await listDatasets();
+  return Promise.all(
+    datasets.map(async (dataset) => {
+      const [lastRun] = await listRuns({ dataset: dataset.name }, 1);
+      const entry = timer ? nextRuns.get(dataset.name) : null;
+      return {
+        dataset: dataset.name,
+        schedule: dataset.schedule || null,
+        enabled: dataset.enabled,
+        next_run: entry ? entry.at : null,
+        last_run: lastRun
+          ? {
+              job_id: lastRun._id,
+              status: lastRun.status,
+              trigger: lastRun.trigger,
+              skipped: lastRun.skipped || false,
+              queued_at: lastRun.queued_at,
+              finished_at: lastRun.finished_at || null,
+            }
+          : null,
+      };
+    })
+  );
+};
@@ -0,0 +1,160 @@
+// Declarative per-dataset schemas applied during ETL.
+// data.gov.sg returns every value as a string and uses tokens like "na" or "-" for
+// missing values; these schemas coerce fields to proper types and quarantine rows
+// that can't be made valid, so downstream code can trust what's in MongoDB.
+//
+// A schema looks like:
+//   {
+//     fields:   { fieldName: { type, required, min, max } },
+//     patterns: [{ match: "regex source", type, required }],   // for wide tables
+//     maxRejectRatio: 0.1,                                      // abort above this
+//   }
+// Supported types: "string", "number", "integer", "year".
+
+// Upstream placeholders that mean "no value"
+const NULL_TOKENS = new Set(["", "na", "n.a.", "n/a", "-", "--", "..", "nil", "null"]);
+
+const DEFAULT_MAX_REJECT_RATIO = 0.1;
+
+const MONTHS = "Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec";
+
+const DATASET_SCHEMAS = {
+  ges: {
+    fields: {
+      university: { type: "string", required: true },
+      school: { type: "string", required: true },
+      degree: { type: "string", required: true },
+      year: { type: "year", required: true },
+      employment_rate_overall: { type: "number", min: 0, max: 100 },
+      employment_rate_ft_perm: { type: "number", min: 0, max: 100 },
+      basic_monthly_mean: { type: "number", min: 0 },
+      basic_monthly_median: { type: "number", min: 0 },
+      gross_monthly_mean: { type: "number", min: 0 },
+      gross_monthly_median: { type: "number", min: 0 },
+      gross_mthly_25_percentile: { type: "number", min: 0 },
+      gross_mthly_75_percentile: { type: "number", min: 0 },
+    },
+  },
+  cpi: {
+    fields: { DataSeries: { type: "string", required: true } },
+    patterns: [{ match: `^\\d{4}(${MONTHS})$`, type: "number", min: 0 }],
+  },
+  unemployment: {
+    fields: { DataSeries: { type: "string", required: true } },
+    patterns: [{ match: "^\\d{4}$", type: "number", min: 0, max: 100 }],
+  },
+  vacancies: {
+    fields: { DataSeries: { type: "string", required: true } },
+    patterns: [{ match: "^\\d{4}[1-4]Q$", type: "number", min: 0 }],
+  },
+  gdpindustryquarterly: {
+    fields: { DataSeries: { type: "string", required: true } },
+    patterns: [{ match: "^\\d{4}[1-4]Q$", type: "number" }],
+  },
+  medianincome: {
+    fields: { year: { type: "year", required: true } },
+    patterns: [{ match: "^med_income_", type: "number", min: 0 }],
+  },
+  schoolinfo: {
+    fields: {
+      school_name: { type: "string", required: true },
+      // Kept as a string so leading zeros survive
+      postal_code: { type: "string" },
+    },
+  },
+};
+
+/**
+ * Returns the schema for a dataset: one stored on its registry entry takes
+ * precedence over the built-in default. Returns null when there is none.
+ */
+exports.resolveSchema = (dataset) =>
+  dataset.recordSchema || DATASET_SCHEMAS[dataset.name] || null;
+
+/**
+ * Coerces a single value. Returns { value } on success or { error } when the
+ * value can't be represented as the requested type.
+ */
+const coerce = (raw, rule) => {
+  if (raw === null || raw === undefined) return { value: null };
+  if (typeof raw === "string" && NULL_TOKENS.has(raw.trim().toLowerCase())) {
+    return { value: null };
+  }
+
+  if (rule.type === "string") {
+    return { value: String(raw).trim() };
+  }
+
+  // Numbers sometimes arrive with thousands separators, e.g. "3,450"
+  const text = String(raw).replace(/,/g, "").trim();
+  const number = Number(text);
+  if (text === "" || isNaN(number)) {
+    return { error: `not a number: ${JSON.stringify(raw)}` };
+  }
+
+  if ((rule.type === "integer" || rule.type === "year") && !Number.isInteger(number)) {
+    return { error: `not an integer: ${JSON.stringify(raw)}` };
+  }
+  if (rule.type === "year" && (number < 1900 || number > 2100)) {
+    return { error: `not a plausible year: ${JSON.stringify(raw)}` };
+  }
+  if (rule.min !== undefined && number < rule.min) {
+    return { error: `below minimum ${rule.min}: ${number}` };
+  }
+  if (rule.max !== undefined && number > rule.max) {
+    return { error: `above maximum ${rule.max}: ${number}` };
+  }
+  return { value: number };
+};
+
+/**
+ * Applies a schema to a batch of records.
+ * @returns {{ valid: object[], rejects: { record: object, reasons: string[] }[] }}
+ */
+exports.applySchema = (schema, records) => {
+  if (!schema) return { valid: records, rejects: [] };
+
+  const fieldRules = schema.fields || {};
+  const patternRules = (schema.patterns || []).map((rule) => ({
+    ...rule,
+    regex: new RegExp(rule.match),
+  }));
+  const ruleFor = (field) =>
+    fieldRules[field] || patternRules.find((rule) => rule.regex.test(field));
+
+  const valid = [];
+  const rejects = [];
+
+  for (const record of records) {
+    const coerced = { ...record };
+    const reasons = [];
+
+    for (const [field, raw] of Object.entries(record)) {
+      const rule = ruleFor(field);
+      if (!rule) continue;
+      const { value, error } = coerce(raw, rule);
+      if (error) reasons.push(`${field} ${error}`);
+      else coerced[field] = value;
+    }
+
+    for (const [field, rule] of Object.entries(fieldRules)) {
+      if (rule.required && (coerced[field] === null || coerced[field] === undefined)) {
+        reasons.push(`${field} is required`);
+      }
+    }
+
+    if (reasons.length > 0) rejects.push({ record, reasons });
+    else valid.push(coerced);
+  }
+
+  return { valid, rejects };
+};
+
+/**
+ * The share of rejected rows above which a load is aborted instead of
+ * quietly writing a much smaller dataset.
+ */
+exports.maxRejectRatio = (schema) =>
+  schema && schema.maxRejectRatio !== undefined
+    ? schema.maxRejectRatio
+    : DEFAULT_MAX_REJECT_RATIO;
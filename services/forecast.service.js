@@ -0,0 +1,572 @@
+const getModel = require("../models/flexibleData.model");
+const {
+  selectModel,
+  fitStatistics,
+  inSampleValue,
+  predictionIntervals,
+} = require("./forecastModels.service");
+const { getDegreeSentimentAdjustment } = require("./forecastSentiment.service");
+const { resolveScenarios, applyScenario } = require("./forecastScenarios.service");
+
+const FORECAST_YEARS = 3;
+
+// Macro inputs, named as they appear in historical_data, and the regressions' features.
+const FEATURES = [
+  "national_median",
+  "unemployment",
+  "annual_gdp",
+  "avg_job_vacancies",
+  "yoy_inflation_rate",
+];
+
+// GES fields that can be forecast. Salaries are nudged by news sentiment; employment
+// rates are not, and stay within 0-100.
+const TARGET_METRICS = {
+  gross_monthly_median: { label: "Gross monthly median salary", unit: "SGD per month", kind: "salary" },
+  gross_monthly_mean: { label: "Gross monthly mean salary", unit: "SGD per month", kind: "salary" },
+  gross_mthly_25_percentile: {
+    label: "Gross monthly salary, 25th percentile",
+    unit: "SGD per month",
+    kind: "salary",
+  },
+  gross_mthly_75_percentile: {
+    label: "Gross monthly salary, 75th percentile",
+    unit: "SGD per month",
+    kind: "salary",
+  },
+  employment_rate_overall: { label: "Overall employment rate", unit: "percent", kind: "rate" },
+  employment_rate_ft_perm: {
+    label: "Full-time permanent employment rate",
+    unit: "percent",
+    kind: "rate",
+  },
+};
+exports.TARGET_METRICS = Object.keys(TARGET_METRICS);
+
+// Always forecast: runs are summarised, ranked and reported on it.
+const HEADLINE_METRIC = "gross_monthly_median";
+exports.HEADLINE_METRIC = HEADLINE_METRIC;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Registered datasets a forecast reads, and the collections they are loaded into.
+// A forecast is only as fresh as these, so cached runs are keyed on their versions.
+const INPUT_DATASETS = {
+  ges: "ges_raw",
+  medianincome: "median_monthly_income",
+  unemployment: "unemp_ann",
+  gdpindustryquarterly: "gdp_industry_qtr",
+  cpi: "cpi_monthly",
+  vacancies: "job_vacancies_qtr",
+};
+exports.INPUT_DATASETS = INPUT_DATASETS;
+
+/**
+ * Loads the degree's GES history and the raw macroeconomic tables the model uses.
+ * gesFilter, when given, replaces the exact university/school/degree match (e.g. to
+ * cover every raw name of a canonical degree); only the first record of a year is kept.
+ */
+const loadInputs = async ({ university, school, degree, gesFilter }) => {
+  const GESModel = getModel(INPUT_DATASETS.ges);
+  const MedianIncomeModel = getModel(INPUT_DATASETS.medianincome);
+  const UnemploymentModel = getModel(INPUT_DATASETS.unemployment);
+  const GdpModel = getModel(INPUT_DATASETS.gdpindustryquarterly);
+  const CpiModel = getModel(INPUT_DATASETS.cpi);
+  const JobVacanciesModel = getModel(INPUT_DATASETS.vacancies);
+
+  const [
+    degreeHistory,
+    medianIncomeRecords,
+    unemploymentRecord,
+    gdpRecord,
+    cpiRecord,
+    jobVacanciesRecord,
+  ] = await Promise.all([
+    GESModel.find(gesFilter || { university, school, degree }).sort({ year: "asc" }).lean(),
+    MedianIncomeModel.find({}).lean(),
+    UnemploymentModel.findOne({ DataSeries: "Total" }).lean(),
+    GdpModel.findOne({ DataSeries: "GDP In Chained (2015) Dollars" }).lean(),
+    CpiModel.findOne({ DataSeries: "All Items" }).lean(),
+    JobVacanciesModel.findOne({ DataSeries: "Total" }).lean(),
+  ]);
+
+  if (!unemploymentRecord || !gdpRecord || !cpiRecord || !jobVacanciesRecord) {
+    throw new Error(
+      "Macroeconomic data is missing. Load unemployment, gdpindustryquarterly, cpi and jobvacancies first."
+    );
+  }
+
+  return {
+    degreeHistory: degreeHistory.filter(
+      (record, i) => degreeHistory.findIndex((other) => other.year === record.year) === i
+    ),
+    medianIncomeRecords,
+    unemploymentRecord,
+    gdpRecord,
+    cpiRecord,
+    jobVacanciesRecord,
+  };
+};
+
+// Sums (or averages) the four quarters of a wide-format record, or null if any is missing.
+const annualFromQuarters = (record, year, aggregate) => {
+  const values = [1, 2, 3, 4].map((q) => record[`${year}${q}Q`]);
+  if (values.some((v) => v === undefined)) return null;
+  const total = values.map((v) => parseFloat(v || 0)).reduce((sum, v) => sum + v, 0);
+  return aggregate === "mean" ? total / 4 : total;
+};
+
+// December-on-December CPI inflation.
+const annualInflation = (cpiRecord, year) => {
+  const currentDec = parseFloat(cpiRecord[`${year}Dec`]);
+  const prevDec = parseFloat(cpiRecord[`${year - 1}Dec`]);
+  if (isNaN(currentDec) || isNaN(prevDec)) return null;
+  return (currentDec - prevDec) / prevDec;
+};
+
+/**
+ * Joins each GES year with that year's macro inputs and target metric values. Years
+ * with missing or invalid macro data are left out and reported in skippedYears;
+ * a missing metric value only leaves the year out of that metric's model.
+ */
+const buildHistory = (inputs) => {
+  const { degreeHistory, medianIncomeRecords, unemploymentRecord, gdpRecord, cpiRecord, jobVacanciesRecord } = inputs;
+
+  const medianIncomesByYear = medianIncomeRecords.reduce((acc, doc) => {
+    acc[doc.year] = doc.med_income_incl_empcpf;
+    return acc;
+  }, {});
+
+  const yearlyData = [];
+  const skippedYears = [];
+  for (const record of degreeHistory) {
+    const year = record.year;
+    if (parseInt(year) < 2013) continue;
+
+    const dataPoint = {
+      year: parseInt(year),
+      national_median: parseFloat(medianIncomesByYear[year]),
+      unemployment: parseFloat(unemploymentRecord[year]),
+      annual_gdp: annualFromQuarters(gdpRecord, year, "sum"),
+      avg_job_vacancies: annualFromQuarters(jobVacanciesRecord, year, "mean"),
+      yoy_inflation_rate: annualInflation(cpiRecord, year),
+    };
+
+    if (Object.values(dataPoint).every((v) => v !== null && !isNaN(v))) {
+      dataPoint.targets = Object.keys(TARGET_METRICS).reduce((acc, metric) => {
+        acc[metric] = parseFloat(record[metric]);
+        return acc;
+      }, {});
+      yearlyData.push(dataPoint);
+    } else {
+      skippedYears.push(dataPoint.year);
+    }
+  }
+  return { yearlyData, skippedYears, medianIncomesByYear };
+};
+
+/**
+ * Validates the requested target metrics (an array or comma-separated string).
+ * The headline metric is always included, first.
+ */
+const resolveMetrics = (requested) => {
+  if (requested === undefined || requested === null || requested === "") {
+    return [HEADLINE_METRIC];
+  }
+  const names = (Array.isArray(requested) ? requested : String(requested).split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  const unknown = names.find((name) => !TARGET_METRICS[name]);
+  if (unknown) {
+    throw badRequest(
+      `Unknown metric '${unknown}'. Expected one of: ${Object.keys(TARGET_METRICS).join(", ")}.`
+    );
+  }
+  // In TARGET_METRICS order, so the same set always resolves the same way.
+  return Object.keys(TARGET_METRICS).filter(
+    (metric) => metric === HEADLINE_METRIC || names.includes(metric)
+  );
+};
+exports.resolveMetrics = resolveMetrics;
+
+/**
+ * Extends a { year: value } history to `yearsToProject` more years along the
+ * average change between its first and last values.
+ */
+const projectLinearTrend = (data, yearsToProject) => {
+  const keys = Object.keys(data)
+    .filter((k) => /^\d{4}$/.test(k))
+    .sort();
+  const values = keys.map((k) => parseFloat(data[k]));
+  if (values.length < 2) {
+    const lastKnownValue = values.length > 0 ? values[values.length - 1] : 0;
+    const projections = { ...data };
+    for (let i = 1; i <= yearsToProject; i++) {
+      projections[
+        parseInt(keys[keys.length - 1] || new Date().getFullYear()) + i
+      ] = lastKnownValue;
+    }
+    return projections;
+  }
+  const avgChange = (values[values.length - 1] - values[0]) / (values.length - 1);
+  let lastValue = values[values.length - 1];
+  const projections = { ...data };
+  for (let i = 1; i <= yearsToProject; i++) {
+    lastValue += avgChange;
+    projections[parseInt(keys[keys.length - 1]) + i] = lastValue;
+  }
+  return projections;
+};
+
+// Groups a wide-format quarterly record into complete years.
+const createAnnualHistory = (record, aggregator) => {
+  const history = {};
+  Object.keys(record)
+    .filter((key) => /^\d{4}/.test(key))
+    .forEach((key) => {
+      const year = key.substring(0, 4);
+      if (!history[year]) history[year] = [];
+      history[year].push(parseFloat(record[key]));
+    });
+  return Object.entries(history).reduce((acc, [year, values]) => {
+    if (values.length === 4) acc[year] = aggregator(values);
+    return acc;
+  }, {});
+};
+
+/**
+ * Projects every macro input forward to the last forecast year.
+ * @returns {{ trends: object, lastActualYears: object }} trends holds
+ *   national_median_income, unemployment_rate, annual_gdp, avg_job_vacancies and
+ *   yoy_inflation_rate, each a { year: value } map of history plus projections;
+ *   lastActualYears gives the last year of real data for each.
+ */
+const projectMacroInputs = (inputs, medianIncomesByYear, finalForecastYear) => {
+  const { unemploymentRecord, gdpRecord, cpiRecord, jobVacanciesRecord } = inputs;
+  const currentYear = new Date().getFullYear();
+
+  const annualGdpHistory = createAnnualHistory(gdpRecord, (values) =>
+    values.reduce((s, v) => s + v, 0)
+  );
+  const annualVacanciesHistory = createAnnualHistory(
+    jobVacanciesRecord,
+    (values) => values.reduce((s, v) => s + v, 0) / 4
+  );
+
+  const annualInflationHistory = {};
+  Object.keys(cpiRecord)
+    .filter((k) => k.includes("Dec"))
+    .forEach((k) => {
+      const year = parseInt(k.substring(0, 4));
+      if (year > 2012) {
+        const rate = annualInflation(cpiRecord, year);
+        if (rate !== null) annualInflationHistory[year] = rate;
+      }
+    });
+
+  const lastActualYears = {};
+  const projectToFinalYear = (name, history) => {
+    const lastYear = parseInt(
+      Object.keys(history)
+        .filter((k) => /^\d{4}$/.test(k))
+        .sort()
+        .pop() || currentYear
+    );
+    lastActualYears[name] = lastYear;
+    return projectLinearTrend(history, finalForecastYear - lastYear);
+  };
+
+  const trends = {
+    national_median_income: projectToFinalYear("national_median_income", medianIncomesByYear),
+    unemployment_rate: projectToFinalYear("unemployment_rate", unemploymentRecord),
+    annual_gdp: projectToFinalYear("annual_gdp", annualGdpHistory),
+    avg_job_vacancies: projectToFinalYear("avg_job_vacancies", annualVacanciesHistory),
+    yoy_inflation_rate: projectToFinalYear("yoy_inflation_rate", annualInflationHistory),
+  };
+  return { trends, lastActualYears };
+};
+
+// Maps the projected trend names back onto the feature names the models were fitted on.
+const featuresForYear = (trends, year) => ({
+  year,
+  national_median: trends.national_median_income[year],
+  unemployment: trends.unemployment_rate[year],
+  annual_gdp: trends.annual_gdp[year],
+  avg_job_vacancies: trends.avg_job_vacancies[year],
+  yoy_inflation_rate: trends.yoy_inflation_rate[year],
+});
+
+/**
+ * Backtests every model on one metric's history and fits the winner.
+ */
+const fitMetric = (metric, yearlyData, { model, macroOnly }) => {
+  const config = TARGET_METRICS[metric];
+  const rows = yearlyData
+    .filter((point) => Number.isFinite(point.targets[metric]))
+    .map(({ targets, ...point }) => ({ ...point, y: targets[metric] }));
+  if (rows.length < 3) {
+    throw badRequest(
+      metric === HEADLINE_METRIC
+        ? "Not enough years with complete macroeconomic data (< 3) to create a forecast."
+        : `Not enough years with ${config.label.toLowerCase()} and complete macroeconomic data (< 3) to forecast it.`
+    );
+  }
+
+  const { chosen, fitted, candidates } = selectModel(rows, FEATURES, { model, macroOnly });
+  return {
+    metric,
+    config,
+    rows,
+    chosen,
+    fitted,
+    candidates,
+    chosenCandidate: candidates.find((c) => c.chosen),
+    lastHistoryYear: rows[rows.length - 1].year,
+  };
+};
+
+/**
+ * Predicts each forecast year of one metric from a set of macro trends, with
+ * prediction intervals. Salaries are scaled by the sentiment adjustment; rates are
+ * kept within 0-100.
+ */
+const forecastFromTrends = (fit, trends, sentiment) => {
+  const currentYear = new Date().getFullYear();
+  // The sentiment nudge scales the whole distribution, bounds included.
+  const adjust =
+    fit.config.kind === "salary"
+      ? (value) => Math.round(value * (1 + sentiment.factor))
+      : (value) => Math.round(Math.min(100, Math.max(0, value)) * 10) / 10;
+
+  const forecast = [];
+  for (let i = 1; i <= FORECAST_YEARS; i++) {
+    const forecastYear = currentYear + i;
+    const point = featuresForYear(trends, forecastYear);
+
+    if (FEATURES.some((f) => point[f] === undefined)) {
+      throw new Error(
+        `Cannot make prediction for ${forecastYear}. One or more projected features are missing.`
+      );
+    }
+
+    const predicted = fit.fitted.predict(point);
+    const intervals = predictionIntervals(
+      predicted,
+      fit.chosenCandidate,
+      forecastYear - fit.lastHistoryYear
+    );
+    forecast.push({
+      year: forecastYear,
+      predicted_value: adjust(predicted),
+      prediction_intervals: Object.fromEntries(
+        Object.entries(intervals).map(([level, { lower, upper }]) => [
+          level,
+          { lower: adjust(lower), upper: adjust(upper) },
+        ])
+      ),
+      projected_inputs: {
+        national_median_income: point.national_median,
+        unemployment_rate: point.unemployment,
+        annual_gdp: point.annual_gdp,
+        avg_job_vacancies: point.avg_job_vacancies,
+        yoy_inflation_rate: point.yoy_inflation_rate,
+      },
+    });
+  }
+  return forecast;
+};
+
+// Rounds a model value to `digits` decimals; null (no in-sample value) stays null.
+const roundOrNull = (value, digits = 0) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The original response named the forecast value after the median salary.
+const asSalaryForecast = (forecast) =>
+  forecast.map(({ year, predicted_value, ...rest }) => ({
+    year,
+    predicted_median_salary: predicted_value,
+    ...rest,
+  }));
+
+// The macro inputs are the same for every metric and are reported once, on the headline.
+const withoutInputs = (forecast) =>
+  forecast.map(({ projected_inputs, ...rest }) => rest);
+
+const describeFit = (fit, { model, scenarios, skippedYears }) => ({
+  model: fit.chosen.name,
+  description: fit.chosen.description,
+  parameters: fit.fitted.parameters,
+  features: FEATURES.map((f) => f.replace(/_/g, " ")),
+  // GES years left out of training because macro data was missing for them
+  skipped_years: skippedYears,
+  // In-sample fit of the chosen model, and its rolling-origin backtest errors, which
+  // are what the prediction intervals are built from.
+  fit_statistics: {
+    in_sample: fitStatistics(fit.fitted, fit.rows),
+    backtest: {
+      rmse: fit.chosenCandidate.rmse,
+      mae: fit.chosenCandidate.mae,
+      mape: fit.chosenCandidate.mape,
+    },
+  },
+  interval_method:
+    "backtest RMSE x sqrt(years ahead) x Student t critical value (80% and 95%)",
+  selection: {
+    method: model ? "requested" : "rolling-origin backtest",
+    metric: "rmse",
+    // Scenarios only differ through the macro inputs, so the others sit out.
+    restricted_to_macro_models: Boolean(scenarios) && !model,
+    candidates: fit.candidates,
+  },
+});
+
+/**
+ * Forecasts a degree's GES metrics for the next FORECAST_YEARS years. Each metric
+ * gets its own model: every model in forecastModels.service is backtested on the
+ * metric's history (rolling origin: each year predicted from the years before it)
+ * and the most accurate one makes the forecast. Salary forecasts are then nudged by recent news about the degree's field.
+ * The median salary is always forecast and fills the top-level fields; every
+ * requested metric, the median included, is also reported under metrics.
+ * With scenarios, the same fitted models also forecast from each scenario's macro
+ * assumptions; only models that use the macro inputs are considered then, since the
+ * others would give every scenario the same answer.
+ * @param {object} params
+ * @param {string} params.university
+ * @param {string} params.school
+ * @param {string} params.degree
+ * @param {object} [params.gesFilter] - ges_raw filter to use instead of the exact names.
+ * @param {string[]|string} [params.metrics] - GES fields to forecast (TARGET_METRICS).
+ * @param {string} [params.model] - Use this model instead of the backtest winner.
+ * @param {object} [params.sentimentOverrides] - See getDegreeSentimentAdjustment.
+ * @param {Array<string|object>} [params.scenarios] - See forecastScenarios.service.
+ * @returns {Promise<object>} { forecast, historical_data, model_details,
+ *   macroeconomic_trends, metrics, scenarios? }
+ */
+exports.runForecast = async ({
+  university,
+  school,
+  degree,
+  gesFilter,
+  metrics: requestedMetrics,
+  model,
+  sentimentOverrides = {},
+  scenarios: scenarioSpecs,
+}) => {
+  // Validate the request before touching the database.
+  const metrics = resolveMetrics(requestedMetrics);
+  const scenarios = scenarioSpecs ? resolveScenarios(scenarioSpecs) : null;
+  const inputs = await loadInputs({ university, school, degree, gesFilter });
+
+  if (inputs.degreeHistory.length < 3) {
+    throw badRequest(
+      "Not enough historical data (< 3 years) for this degree to create a forecast."
+    );
+  }
+
+  const { yearlyData, skippedYears, medianIncomesByYear } = buildHistory(inputs);
+  const fits = metrics.map((metric) =>
+    fitMetric(metric, yearlyData, { model, macroOnly: Boolean(scenarios) })
+  );
+
+  const finalForecastYear = new Date().getFullYear() + FORECAST_YEARS;
+  const { trends, lastActualYears } = projectMacroInputs(
+    inputs,
+    medianIncomesByYear,
+    finalForecastYear
+  );
+  const scenarioTrends = scenarios
+    ? scenarios.map((scenario) =>
+        applyScenario(trends, lastActualYears, scenario, finalForecastYear)
+      )
+    : [];
+
+  // Only recent news about this degree or the industries it feeds into counts,
+  // and the effect is capped (see forecastSentiment.service).
+  const sentiment = await getDegreeSentimentAdjustment({ school, degree }, sentimentOverrides);
+
+  const results = fits.map((fit) => ({
+    fit,
+    forecast: forecastFromTrends(fit, trends, sentiment),
+    scenarios: scenarios
+      ? scenarios.map((scenario, i) => ({
+          name: scenario.name,
+          forecast: forecastFromTrends(fit, scenarioTrends[i], sentiment),
+        }))
+      : null,
+  }));
+  const details = { model, scenarios, skippedYears };
+
+  const headline = results[0];
+  const historicalData = headline.fit.rows.map(({ y, ...point }) => ({
+    year: point.year,
+    median_salary: y,
+    national_median: point.national_median,
+    unemployment: point.unemployment,
+    annual_gdp: point.annual_gdp,
+    avg_job_vacancies: point.avg_job_vacancies,
+    yoy_inflation_rate: point.yoy_inflation_rate,
+    model_prediction: roundOrNull(inSampleValue(headline.fit.fitted, point)),
+  }));
+  const {
+    model: headlineModel,
+    description,
+    parameters,
+    ...headlineDetails
+  } = describeFit(headline.fit, details);
+
+  return {
+    forecast: asSalaryForecast(headline.forecast),
+    historical_data: historicalData,
+    model_details: {
+      model: headlineModel,
+      description,
+      parameters,
+      // Kept for clients of the original single-regression response
+      equation: parameters.coefficients
+        ? { coefficients: parameters.coefficients, intercept: parameters.intercept }
+        : null,
+      ...headlineDetails,
+      sentiment_adjustment_factor: sentiment.factor,
+      sentiment_adjustment: sentiment,
+    },
+    macroeconomic_trends: trends,
+    metrics: results.map(({ fit, forecast, scenarios: metricScenarios }) => ({
+      metric: fit.metric,
+      label: fit.config.label,
+      unit: fit.config.unit,
+      sentiment_adjusted: fit.config.kind === "salary",
+      forecast: withoutInputs(forecast),
+      historical: fit.rows.map((row) => ({
+        year: row.year,
+        actual: row.y,
+        model_prediction:
+          fit.config.kind === "salary"
+            ? roundOrNull(inSampleValue(fit.fitted, row))
+            : roundOrNull(inSampleValue(fit.fitted, row), 1),
+      })),
+      model_details: describeFit(fit, details),
+      ...(metricScenarios
+        ? {
+            scenarios: metricScenarios.map((s) => ({
+              name: s.name,
+              forecast: withoutInputs(s.forecast),
+            })),
+          }
+        : {}),
+    })),
+    ...(scenarios
+      ? {
+          scenarios: scenarios.map((scenario, i) => ({
+            name: scenario.name,
+            description: scenario.description,
+            assumptions: { growth: scenario.growth, levels: scenario.levels, shift: scenario.shift },
+            forecast: asSalaryForecast(headline.scenarios[i].forecast),
+          })),
+        }
+      : {}),
+  };
+};
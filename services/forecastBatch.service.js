@@ -0,0 +1,80 @@
+const { createJobQueue } = require("./jobQueue.service");
+const { getGesSummary } = require("./ges.service");
+const { getDataVersion, getOrRunForecast } = require("./forecastRuns.service");
+
+// Fewer GES years than this can't be forecast, so the batch doesn't try.
+const MIN_HISTORY_YEARS = 3;
+
+const forecastQueue = createJobQueue("forecast_jobs");
+
+/**
+ * Queues a background job that forecasts every university/school/degree combination
+ * with enough GES history. Results land in forecast_runs (unchanged ones are served
+ * from cache, so re-running after a data load only recomputes what changed) and
+ * feed GET /api/forecast/leaderboard.
+ * @param {object} [options]
+ * @param {string} [options.university] - Only forecast this university's degrees.
+ * @param {boolean} [options.refresh] - Recompute even when a cached run exists.
+ * @returns {Promise<object>} The queued forecast_jobs document.
+ */
+exports.enqueueBatchForecast = async ({ university, refresh = false } = {}) => {
+  const filters = {
+    ...(university ? { university: String(university) } : {}),
+    refresh: refresh === true || refresh === "true",
+  };
+
+  return forecastQueue.enqueue(
+    {
+      type: "batch_forecast",
+      filters,
+      combos_total: null,
+      combos_processed: 0,
+      forecasts_computed: 0,
+      forecasts_cached: 0,
+      combos_skipped: 0,
+      combos_failed: 0,
+    },
+    async (progress) => {
+      const combos = (await getGesSummary()).filter(
+        (combo) =>
+          combo.recordCount >= MIN_HISTORY_YEARS &&
+          (!filters.university || combo.university === filters.university)
+      );
+      await progress.report({ combos_total: combos.length });
+      // Working out the data version scans news_raw, so it is done once for the
+      // whole batch rather than once per degree.
+      const dataVersion = await getDataVersion();
+
+      const counts = {
+        combos_processed: 0,
+        forecasts_computed: 0,
+        forecasts_cached: 0,
+        combos_skipped: 0,
+        combos_failed: 0,
+      };
+
+      for (const { university: uni, school, degree } of combos) {
+        try {
+          const { cached } = await getOrRunForecast(
+            { university: uni, school, degree },
+            { refresh: filters.refresh, dataVersion }
+          );
+          counts[cached ? "forecasts_cached" : "forecasts_computed"] += 1;
+        } catch (error) {
+          // 400s mean this degree can't be forecast (e.g. too few complete years),
+          // which is expected for some combos and not worth failing the job over.
+          counts[error.status === 400 ? "combos_skipped" : "combos_failed"] += 1;
+          await progress.error(`${uni} / ${school} / ${degree}: ${error.message}`);
+        }
+        counts.combos_processed += 1;
+        if (counts.combos_processed % 10 === 0) await progress.report(counts);
+      }
+
+      return counts;
+    }
+  );
+};
+
+exports.getBatchForecastJob = (id) => forecastQueue.getJob(id);
+
+exports.markInterruptedForecasts = () => forecastQueue.markInterrupted();
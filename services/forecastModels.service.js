@@ -0,0 +1,362 @@
+const { MultivariateLinearRegression } = require("ml-regression");
+
+// Forecasting models share one interface so runForecast can try them all:
+//   { name, description, minPoints, usesFeatures,
+//     fit(rows, features) -> { predict(row), [fittedValue(row)], parameters } }
+// `rows` are yearly points { year, y, [feature]: value }. Models that only look at
+// the salary series ignore the features; the regressions use them. fittedValue gives
+// the in-sample value for a training row when that isn't simply predict(row).
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Solves A x = b by Gaussian elimination with partial pivoting.
+ * Returns null when A is singular.
+ */
+const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const ratio = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= ratio * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+};
+
+// Ordinary least squares on the year alone.
+const linearTrend = {
+  name: "linear_trend",
+  description: "Straight line through median salary by year",
+  minPoints: 3,
+  usesFeatures: false,
+  fit: (rows) => {
+    const xMean = mean(rows.map((r) => r.year));
+    const yMean = mean(rows.map((r) => r.y));
+    const sxx = rows.reduce((sum, r) => sum + (r.year - xMean) ** 2, 0);
+    const sxy = rows.reduce((sum, r) => sum + (r.year - xMean) * (r.y - yMean), 0);
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = yMean - slope * xMean;
+    return {
+      predict: (row) => intercept + slope * row.year,
+      parameters: { slope_per_year: slope, intercept },
+    };
+  },
+};
+
+// Ridge regression on standardised macro features plus the year, so a handful of
+// yearly points can't blow the coefficients up the way plain least squares does.
+const RIDGE_LAMBDA = parseFloat(process.env.FORECAST_RIDGE_LAMBDA) || 1;
+
+const ridge = {
+  name: "ridge",
+  description: `Ridge regression (lambda ${RIDGE_LAMBDA}) on the year and macro features`,
+  minPoints: 4,
+  usesFeatures: true,
+  fit: (rows, features) => {
+    const inputs = ["year", ...features];
+    const stats = inputs.map((f) => {
+      const values = rows.map((r) => r[f]);
+      const m = mean(values);
+      const sd = Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+      return { mean: m, sd };
+    });
+    // A constant input carries no information; its standardised value is always 0.
+    const standardise = (row) =>
+      inputs.map((f, j) => (stats[j].sd > 0 ? (row[f] - stats[j].mean) / stats[j].sd : 0));
+
+    const Z = rows.map(standardise);
+    const yMean = mean(rows.map((r) => r.y));
+    const k = inputs.length;
+    const ZtZ = Array.from({ length: k }, (_, a) =>
+      Array.from({ length: k }, (_, b) =>
+        Z.reduce((sum, z) => sum + z[a] * z[b], 0) + (a === b ? RIDGE_LAMBDA : 0)
+      )
+    );
+    const Zty = Array.from({ length: k }, (_, a) =>
+      Z.reduce((sum, z, i) => sum + z[a] * (rows[i].y - yMean), 0)
+    );
+    const weights = solveLinearSystem(ZtZ, Zty) || new Array(k).fill(0);
+
+    // Report coefficients on the original scale so they read like the old equation.
+    const coefficients = {};
+    let intercept = yMean;
+    inputs.forEach((f, j) => {
+      const beta = stats[j].sd > 0 ? weights[j] / stats[j].sd : 0;
+      coefficients[f] = beta;
+      intercept -= beta * stats[j].mean;
+    });
+
+    return {
+      predict: (row) =>
+        yMean + standardise(row).reduce((sum, z, j) => sum + z * weights[j], 0),
+      parameters: { lambda: RIDGE_LAMBDA, coefficients, intercept },
+    };
+  },
+};
+
+// Holt's linear exponential smoothing. Gaps between survey years are handled by
+// scaling the trend by the number of years elapsed.
+const SMOOTHING_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+// Also returns the one-step-ahead forecast made for each year from the years before
+// it (null for the first year, which has nothing before it).
+const holtSmooth = (rows, alpha, beta) => {
+  let level = rows[0].y;
+  let trend = (rows[1].y - rows[0].y) / (rows[1].year - rows[0].year || 1);
+  let sse = 0;
+  const fitted = [null];
+  for (let i = 1; i < rows.length; i++) {
+    const gap = rows[i].year - rows[i - 1].year || 1;
+    const forecast = level + gap * trend;
+    fitted.push(forecast);
+    if (i > 1) sse += (rows[i].y - forecast) ** 2;
+    const nextLevel = alpha * rows[i].y + (1 - alpha) * forecast;
+    trend = beta * ((nextLevel - level) / gap) + (1 - beta) * trend;
+    level = nextLevel;
+  }
+  return { level, trend, sse, fitted };
+};
+
+const holt = {
+  name: "holt",
+  description: "Holt's linear exponential smoothing of median salary",
+  minPoints: 4,
+  usesFeatures: false,
+  fit: (rows) => {
+    const sorted = [...rows].sort((a, b) => a.year - b.year);
+    let best = null;
+    for (const alpha of SMOOTHING_GRID) {
+      for (const beta of SMOOTHING_GRID) {
+        const result = holtSmooth(sorted, alpha, beta);
+        if (!best || result.sse < best.sse) best = { alpha, beta, ...result };
+      }
+    }
+    const lastYear = sorted[sorted.length - 1].year;
+    const fittedByYear = new Map(sorted.map((row, i) => [row.year, best.fitted[i]]));
+    return {
+      // Holt only describes where the series is heading from its last year, so it is
+      // only meaningful for later years; the backtest never asks it about earlier ones.
+      predict: (row) => best.level + (row.year - lastYear) * best.trend,
+      // Inside the history, the smoothed one-step-ahead forecasts are its fit.
+      fittedValue: (row) => (fittedByYear.has(row.year) ? fittedByYear.get(row.year) : null),
+      parameters: {
+        alpha: best.alpha,
+        beta: best.beta,
+        level: best.level,
+        trend_per_year: best.trend,
+        last_year: lastYear,
+      },
+    };
+  },
+};
+
+// The original model: ordinary least squares on all macro features.
+// It needs more points than features to be identifiable at all.
+const multivariateRegression = {
+  name: "multivariate_regression",
+  description: "Multiple linear regression on the macro features",
+  minPoints: 7,
+  usesFeatures: true,
+  fit: (rows, features) => {
+    const X = rows.map((r) => features.map((f) => r[f]));
+    const Y = rows.map((r) => [r.y]);
+    const regression = new MultivariateLinearRegression(X, Y);
+    const weights = regression.weights;
+    return {
+      predict: (row) => regression.predict(features.map((f) => row[f]))[0],
+      parameters: {
+        coefficients: features.reduce(
+          (obj, feature, i) => ({ ...obj, [feature]: weights[i][0] }),
+          {}
+        ),
+        intercept: weights[features.length][0],
+      },
+    };
+  },
+};
+
+// In order of preference when two models backtest equally well (simplest first).
+const FORECAST_MODELS = [linearTrend, holt, ridge, multivariateRegression];
+exports.FORECAST_MODELS = FORECAST_MODELS;
+exports.MODEL_NAMES = FORECAST_MODELS.map((m) => m.name);
+
+/**
+ * Error metrics for paired actual/predicted values. MAPE is a percentage over the
+ * pairs with a non-zero actual (a 0% rate would divide by zero), and null when there
+ * are none.
+ */
+const errorMetrics = (pairs) => {
+  const errors = pairs.map(({ actual, predicted }) => predicted - actual);
+  const relative = pairs.filter(({ actual }) => actual !== 0);
+  return {
+    rmse: Math.sqrt(mean(errors.map((e) => e * e))),
+    mae: mean(errors.map(Math.abs)),
+    mape: relative.length
+      ? 100 * mean(relative.map(({ actual, predicted }) => Math.abs(predicted - actual) / Math.abs(actual)))
+      : null,
+  };
+};
+exports.errorMetrics = errorMetrics;
+
+/**
+ * A fitted model's in-sample value for one of its training rows, or null when it
+ * has none (Holt's first year).
+ */
+const inSampleValue = (fitted, row) =>
+  fitted.fittedValue ? fitted.fittedValue(row) : fitted.predict(row);
+exports.inSampleValue = inSampleValue;
+
+/**
+ * In-sample goodness of fit for a fitted model over its training rows, leaving out
+ * rows the model has no in-sample value for.
+ * @returns {{ r2: number, rmse: number, mae: number, mape: number }}
+ */
+exports.fitStatistics = (fitted, rows) => {
+  const pairs = rows
+    .map((row) => ({ actual: row.y, predicted: inSampleValue(fitted, row) }))
+    .filter(({ predicted }) => predicted !== null);
+  const yMean = mean(pairs.map((p) => p.actual));
+  const ssTot = pairs.reduce((sum, p) => sum + (p.actual - yMean) ** 2, 0);
+  const ssRes = pairs.reduce((sum, p) => sum + (p.actual - p.predicted) ** 2, 0);
+  return { r2: ssTot === 0 ? null : 1 - ssRes / ssTot, ...errorMetrics(pairs) };
+};
+
+// Two-sided Student t critical values by degrees of freedom (1-30); beyond that
+// the normal values are close enough.
+const T_CRITICAL = {
+  0.8: [3.078, 1.886, 1.638, 1.533, 1.476, 1.44, 1.415, 1.397, 1.383, 1.372, 1.363, 1.356,
+    1.35, 1.345, 1.341, 1.337, 1.333, 1.33, 1.328, 1.325, 1.323, 1.321, 1.319, 1.318, 1.316,
+    1.315, 1.314, 1.313, 1.311, 1.31],
+  0.95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179,
+    2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06,
+    2.056, 2.052, 2.048, 2.045, 2.042],
+};
+const Z_CRITICAL = { 0.8: 1.282, 0.95: 1.96 };
+const INTERVAL_LEVELS = [0.8, 0.95];
+exports.INTERVAL_LEVELS = INTERVAL_LEVELS;
+
+const criticalValue = (level, df) =>
+  df >= 1 && df <= 30 ? T_CRITICAL[level][df - 1] : Z_CRITICAL[level];
+
+/**
+ * Prediction intervals around a point forecast, from the model's out-of-sample
+ * (backtest) errors. The spread grows with the square root of the years ahead of
+ * the last observed year, and small histories get Student t rather than normal
+ * multipliers.
+ * @param {number} prediction - The point forecast.
+ * @param {object} backtestResult - The chosen candidate ({ rmse, folds }).
+ * @param {number} horizon - Years past the last year of history (>= 1).
+ * @returns {object} e.g. { "80": { lower, upper }, "95": { lower, upper } }
+ */
+exports.predictionIntervals = (prediction, { rmse, folds }, horizon) => {
+  const spread = rmse * Math.sqrt(Math.max(1, horizon));
+  return INTERVAL_LEVELS.reduce((intervals, level) => {
+    const margin = criticalValue(level, Math.max(1, folds.length - 1)) * spread;
+    intervals[String(Math.round(level * 100))] = {
+      lower: prediction - margin,
+      upper: prediction + margin,
+    };
+    return intervals;
+  }, {});
+};
+
+/**
+ * Rolling-origin backtest: for each year that leaves the model at least
+ * minPoints - 1 earlier years to train on, fits it on those earlier years only and
+ * scores its prediction for that year, the same way it is used to forecast. Each
+ * model is scored on every fold it can reach, so a data-hungry model doesn't cut
+ * the others down to one or two folds.
+ * @param {object} model
+ * @param {object[]} rows - Yearly points.
+ * @param {string[]} features
+ * @returns {{ folds: object[], rmse: number, mae: number, mape: number|null }}
+ */
+const backtest = (model, rows, features) => {
+  const firstFold = model.minPoints - 1;
+  const ordered = [...rows].sort((a, b) => a.year - b.year);
+  const folds = ordered.slice(firstFold).map((heldOut, i) => {
+    const fitted = model.fit(ordered.slice(0, firstFold + i), features);
+    return { year: heldOut.year, actual: heldOut.y, predicted: fitted.predict(heldOut) };
+  });
+  if (folds.some((fold) => !Number.isFinite(fold.predicted))) {
+    throw new Error("produced a non-numeric prediction");
+  }
+  return { folds, ...errorMetrics(folds) };
+};
+
+/**
+ * Backtests every model that has enough points and picks the one with the lowest RMSE.
+ * @param {object[]} rows - Yearly training points ({ year, y, ...features }).
+ * @param {string[]} features - Feature fields the regressions may use.
+ * @param {object} [options]
+ * @param {string} [options.model] - Force this model instead of the backtest winner.
+ * @param {boolean} [options.macroOnly] - Only pick among models that use the features.
+ * @returns {{ chosen: object, fitted: object, candidates: object[] }}
+ */
+exports.selectModel = (rows, features, { model: forced, macroOnly = false } = {}) => {
+  const candidates = FORECAST_MODELS.map((model) => {
+    const candidate = {
+      model: model.name,
+      description: model.description,
+      uses_macro_inputs: model.usesFeatures,
+    };
+    if (rows.length < model.minPoints) {
+      return {
+        ...candidate,
+        eligible: false,
+        reason: `needs at least ${model.minPoints} years of data, has ${rows.length}`,
+      };
+    }
+    try {
+      const { folds, rmse, mae, mape } = backtest(model, rows, features);
+      return { ...candidate, eligible: true, rmse, mae, mape, folds };
+    } catch (error) {
+      return { ...candidate, eligible: false, reason: error.message };
+    }
+  });
+
+  let chosenName;
+  if (forced) {
+    const candidate = candidates.find((c) => c.model === forced);
+    if (!candidate || !candidate.eligible) {
+      const error = new Error(
+        candidate
+          ? `Model '${forced}' cannot be used for this degree: ${candidate.reason}.`
+          : `Unknown model '${forced}'. Expected one of: ${exports.MODEL_NAMES.join(", ")}.`
+      );
+      error.status = 400;
+      throw error;
+    }
+    chosenName = forced;
+  } else {
+    const ranked = candidates
+      .filter((c) => c.eligible && (!macroOnly || c.uses_macro_inputs))
+      .sort((a, b) => a.rmse - b.rmse);
+    if (ranked.length === 0) {
+      const error = new Error(
+        macroOnly
+          ? "No model that uses the macro inputs can be fitted to this degree's history, so scenarios can't be compared."
+          : "No forecasting model can be fitted to this degree's history."
+      );
+      error.status = 400;
+      throw error;
+    }
+    chosenName = ranked[0].model;
+  }
+
+  const chosen = FORECAST_MODELS.find((m) => m.name === chosenName);
+  return {
+    chosen,
+    fitted: chosen.fit(rows, features),
+    candidates: candidates.map((c) => ({ ...c, chosen: c.model === chosenName })),
+  };
+};
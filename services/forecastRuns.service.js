@@ -0,0 +1,366 @@
+const crypto = require("crypto");
+const getModel = require("../models/flexibleData.model");
+const { lastSuccessfulRun } = require("./etl.service");
+const { resolveDegree } = require("./gesTaxonomy.service");
+const { getNewsVersion, getSentimentConfig } = require("./forecastSentiment.service");
+const {
+  runForecast,
+  resolveMetrics,
+  INPUT_DATASETS,
+  TARGET_METRICS,
+} = require("./forecast.service");
+
+// Bump whenever runForecast's output changes for the same inputs, so older cached
+// runs stop being served.
+const FORECAST_METHOD = "forecast.v7";
+
+const RUNS_COLLECTION = "forecast_runs";
+
+let indexesReady = null;
+
+const ensureRunIndexes = () => {
+  if (!indexesReady) {
+    const collection = getModel(RUNS_COLLECTION).collection;
+    indexesReady = Promise.all([
+      collection.createIndex({ university: 1, school: 1, degree: 1, created_at: -1 }),
+      collection.createIndex({ canonical_id: 1, created_at: -1 }),
+      collection.createIndex({ inputs_hash: 1, created_at: -1 }),
+      collection.createIndex({ "summary.projected_growth": -1 }),
+    ]).catch((error) => {
+      indexesReady = null; // Try again on the next request
+      throw error;
+    });
+  }
+  return indexesReady;
+};
+
+/**
+ * Identifies the current contents of every dataset a forecast reads.
+ * Uses the content hash of the dataset's last ETL load that wrote data; data loaded
+ * some other way falls back to the collection's size and newest document. News,
+ * which every run reads for its sentiment adjustment, is under `news`.
+ * @returns {Promise<object>} { datasetName: version string, news: version string }
+ */
+const getDataVersion = async () => {
+  const entries = await Promise.all(
+    Object.entries(INPUT_DATASETS).map(async ([name, collectionName]) => {
+      const run = await lastSuccessfulRun(name);
+      if (run && run.content_hash) return [name, `etl:${run.content_hash}`];
+
+      const Model = getModel(collectionName);
+      const [count, newest] = await Promise.all([
+        Model.estimatedDocumentCount(),
+        Model.findOne({}, { _id: 1 }).sort({ _id: -1 }).lean(),
+      ]);
+      return [name, `collection:${count}:${newest ? newest._id : "empty"}`];
+    })
+  );
+  return { ...Object.fromEntries(entries), news: await getNewsVersion() };
+};
+exports.getDataVersion = getDataVersion;
+
+// The sentiment window ends at the end of the current UTC day, so runs on the same
+// day read the same news and can share a cached result.
+const sentimentWindowEnd = () => {
+  const end = new Date();
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+const hashInputs = (inputs) =>
+  crypto.createHash("sha256").update(JSON.stringify(inputs)).digest("hex");
+
+/**
+ * Headline numbers for a run, stored with it so runs can be ranked without
+ * unpacking every forecast.
+ */
+const summarise = ({ forecast, historical_data, model_details }) => {
+  const latest = historical_data[historical_data.length - 1];
+  const final = forecast[forecast.length - 1];
+  const years = final.year - latest.year;
+  const interval = final.prediction_intervals && final.prediction_intervals["95"];
+  return {
+    latest_year: latest.year,
+    latest_median_salary: latest.median_salary,
+    final_year: final.year,
+    projected_median_salary: final.predicted_median_salary,
+    // Total change from the last GES year to the last forecast year, and per year
+    projected_growth: final.predicted_median_salary / latest.median_salary - 1,
+    projected_cagr:
+      years > 0 ? (final.predicted_median_salary / latest.median_salary) ** (1 / years) - 1 : null,
+    // Width of the final year's 95% interval relative to the forecast; narrower is more confident
+    relative_interval_width_95: interval
+      ? (interval.upper - interval.lower) / final.predicted_median_salary
+      : null,
+    backtest_mape: model_details.fit_statistics.backtest.mape,
+    model: model_details.model,
+  };
+};
+
+/**
+ * Works out which GES records a request covers: a canonical degree (every raw name
+ * in its taxonomy entry, reported under the canonical names) or an exact
+ * university/school/degree.
+ */
+const resolveTarget = async ({ university, school, degree, canonicalId }) => {
+  if (!canonicalId) {
+    return { university, school, degree, canonical_id: null, gesFilter: null, taxonomy: null };
+  }
+  const resolved = await resolveDegree(canonicalId);
+  return {
+    university: resolved.degree.university,
+    school: resolved.school.name,
+    degree: resolved.degree.name,
+    canonical_id: resolved.degree.canonical_id,
+    gesFilter: resolved.filter,
+    // A merge changes which records the forecast reads, so it invalidates cached runs.
+    taxonomy: {
+      school_aliases: [...resolved.school.aliases].sort(),
+      degree_aliases: [...resolved.degree.aliases].sort(),
+    },
+  };
+};
+
+/**
+ * Returns a forecast for the request, reusing the latest stored run when nothing it
+ * depends on has changed: same request, same GES and macro data, same forecast years.
+ * Otherwise runs the forecast and stores it in forecast_runs.
+ * @param {object} params - runForecast parameters ({ university, school, degree, metrics,
+ *   model, sentimentOverrides, scenarios }), or canonicalId in place of the three names.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Ignore any cached run.
+ * @param {object} [options.dataVersion] - A getDataVersion result to use instead of
+ *   working it out again, for callers running many forecasts in one go (batch jobs).
+ * @returns {Promise<{ run: object, cached: boolean }>}
+ */
+exports.getOrRunForecast = async (params, { refresh = false, dataVersion: knownVersion } = {}) => {
+  await ensureRunIndexes();
+  const RunModel = getModel(RUNS_COLLECTION);
+
+  const { model = null, sentimentOverrides = {}, scenarios = null } = params;
+  const metrics = resolveMetrics(params.metrics);
+  const target = await resolveTarget(params);
+  const { university, school, degree } = target;
+  const dataVersion = knownVersion || (await getDataVersion());
+  const request = { model, sentiment: sentimentOverrides, scenarios, metrics };
+  const sentimentSettings = {
+    ...getSentimentConfig(),
+    ...sentimentOverrides,
+    window_end: sentimentWindowEnd(),
+  };
+  const inputsHash = hashInputs({
+    method: FORECAST_METHOD,
+    university,
+    school,
+    degree,
+    ...(target.canonical_id
+      ? { canonical_id: target.canonical_id, taxonomy: target.taxonomy }
+      : {}),
+    request,
+    // The forecast window moves on 1 January even if no data does
+    base_year: new Date().getFullYear(),
+    data_version: dataVersion,
+    // Env settings and the day the news window ends also change the adjustment
+    sentiment: sentimentSettings,
+  });
+
+  if (!refresh) {
+    const cached = await RunModel.findOneAndUpdate(
+      { inputs_hash: inputsHash },
+      { $inc: { cache_hits: 1 }, $set: { last_served_at: new Date() } },
+      { sort: { created_at: -1 }, new: true }
+    ).lean();
+    if (cached) return { run: cached, cached: true };
+  }
+
+  const startedAt = new Date();
+  const result = await runForecast({
+    ...params,
+    university,
+    school,
+    degree,
+    gesFilter: target.gesFilter,
+    metrics,
+    sentimentOverrides: sentimentSettings,
+  });
+  const run = {
+    university,
+    school,
+    degree,
+    canonical_id: target.canonical_id,
+    request,
+    method: FORECAST_METHOD,
+    inputs_hash: inputsHash,
+    data_version: dataVersion,
+    ...result,
+    summary: summarise(result),
+    created_at: new Date(),
+    duration_ms: new Date() - startedAt,
+    cache_hits: 0,
+  };
+  const { insertedId } = await RunModel.collection.insertOne(run);
+  return { run: { _id: insertedId, ...run }, cached: false };
+};
+
+// Pairs each forecast year with the GES actual, once that year is published.
+const withActuals = (forecast, actuals, valueField, actualField) =>
+  (forecast || []).map((point) => {
+    const actual = actuals[point.year];
+    return {
+      ...point,
+      [actualField]: actual === undefined ? null : actual,
+      error: actual === undefined ? null : point[valueField] - actual,
+    };
+  });
+
+/**
+ * Lists stored forecast runs for a degree, newest first. Each forecast year, of
+ * every metric, is paired with the GES actual when that year has since been
+ * published, so drift between what was forecast and what happened can be read
+ * off directly. With canonicalId, lists the canonical degree's runs and takes
+ * actuals from every raw name it covers.
+ * @returns {Promise<object[]>}
+ */
+exports.listForecastHistory = async ({ university, school, degree, canonicalId }, limit = 20) => {
+  await ensureRunIndexes();
+  const RunModel = getModel(RUNS_COLLECTION);
+  const GESModel = getModel(INPUT_DATASETS.ges);
+
+  const target = await resolveTarget({ university, school, degree, canonicalId });
+  const runFilter = target.canonical_id
+    ? { canonical_id: target.canonical_id }
+    : { university, school, degree };
+
+  const [runs, actualRecords] = await Promise.all([
+    RunModel.find(
+      runFilter,
+      {
+        historical_data: 0,
+        macroeconomic_trends: 0,
+        "scenarios.forecast.projected_inputs": 0,
+        "model_details.selection.candidates.folds": 0,
+        "metrics.historical": 0,
+        "metrics.model_details.selection.candidates.folds": 0,
+      }
+    )
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean(),
+    GESModel.find(
+      target.gesFilter || { university, school, degree },
+      { year: 1, ...Object.fromEntries(TARGET_METRICS.map((metric) => [metric, 1])) }
+    ).lean(),
+  ]);
+
+  // { metric: { year: value } }
+  const actuals = TARGET_METRICS.reduce((acc, metric) => {
+    acc[metric] = {};
+    for (const record of actualRecords) {
+      const value = parseFloat(record[metric]);
+      if (!isNaN(value)) acc[metric][parseInt(record.year)] = value;
+    }
+    return acc;
+  }, {});
+
+  return runs.map((run) => ({
+    ...run,
+    forecast: withActuals(
+      run.forecast,
+      actuals.gross_monthly_median,
+      "predicted_median_salary",
+      "actual_median_salary"
+    ),
+    ...(run.metrics
+      ? {
+          metrics: run.metrics.map((entry) => ({
+            ...entry,
+            forecast: withActuals(
+              entry.forecast,
+              actuals[entry.metric] || {},
+              "predicted_value",
+              "actual_value"
+            ),
+          })),
+        }
+      : {}),
+  }));
+};
+
+// Leaderboard sort options: summary field and direction.
+const LEADERBOARD_SORTS = {
+  growth: { field: "summary.projected_growth", direction: -1 },
+  salary: { field: "summary.projected_median_salary", direction: -1 },
+  confidence: { field: "summary.relative_interval_width_95", direction: 1 },
+};
+exports.LEADERBOARD_SORT_OPTIONS = Object.keys(LEADERBOARD_SORTS);
+
+/**
+ * Ranks degrees by their most recent stored default forecast (as written by the
+ * batch job or a plain POST /api/forecast/run).
+ * @param {object} params
+ * @param {string} [params.sort] - growth (default), salary or confidence.
+ * @param {string} [params.university] - Only degrees from this university.
+ * @param {number} page - 1-based page number.
+ * @param {number} limit - Page size.
+ * @returns {Promise<{ total: number, entries: object[] }>}
+ */
+exports.getLeaderboard = async ({ sort = "growth", university }, page, limit) => {
+  const order = LEADERBOARD_SORTS[sort];
+  if (!order) {
+    const error = new Error(
+      `Invalid sort '${sort}'. Expected one of: ${Object.keys(LEADERBOARD_SORTS).join(", ")}.`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  await ensureRunIndexes();
+  const RunModel = getModel(RUNS_COLLECTION);
+  const [result] = await RunModel.aggregate([
+    {
+      $match: {
+        method: FORECAST_METHOD,
+        // Only default runs; forced models and custom settings aren't comparable
+        "request.model": null,
+        "request.sentiment": {},
+        "request.scenarios": null,
+        canonical_id: null,
+        [order.field]: { $type: "number" },
+        ...(university ? { university: String(university) } : {}),
+      },
+    },
+    { $sort: { created_at: -1 } },
+    {
+      $group: {
+        _id: { university: "$university", school: "$school", degree: "$degree" },
+        run_id: { $first: "$_id" },
+        generated_at: { $first: "$created_at" },
+        summary: { $first: "$summary" },
+        sort_value: { $first: `$${order.field}` },
+      },
+    },
+    {
+      $facet: {
+        entries: [
+          { $sort: { sort_value: order.direction, "_id.degree": 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    entries: result.entries.map((entry, index) => ({
+      rank: (page - 1) * limit + index + 1,
+      university: entry._id.university,
+      school: entry._id.school,
+      degree: entry._id.degree,
+      run_id: entry.run_id,
+      generated_at: entry.generated_at,
+      ...entry.summary,
+    })),
+  };
+};
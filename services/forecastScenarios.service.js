@@ -0,0 +1,201 @@
+// What-if scenarios for runForecast. A scenario adjusts the projected (never the
+// historical) years of the macro inputs before the model predicts from them:
+//   growth: { input: rate }          - compound from the last actual value, e.g. { annual_gdp: -0.02 }
+//   levels: { input: { year: value } } - reach these values in these years (straight line from
+//                                      the last actual value), then hold the last one
+//   shift:  { input: delta }         - add to every projected year, e.g. { unemployment_rate: 1.5 }
+// levels take precedence over growth for the same input; shift applies on top of either.
+// Units match macroeconomic_trends: unemployment_rate in percent, yoy_inflation_rate
+// as a fraction (0.02 = 2%), the rest in their dataset's units.
+
+const SCENARIO_INPUTS = [
+  "national_median_income",
+  "unemployment_rate",
+  "annual_gdp",
+  "avg_job_vacancies",
+  "yoy_inflation_rate",
+];
+exports.SCENARIO_INPUTS = SCENARIO_INPUTS;
+
+const SCENARIO_PRESETS = {
+  baseline: {
+    description: "Every macro input continues its historical straight-line trend",
+  },
+  recession: {
+    description:
+      "GDP shrinks 2% a year, vacancies fall 15% a year, incomes stall and unemployment runs 1.5 points above trend",
+    growth: { annual_gdp: -0.02, avg_job_vacancies: -0.15, national_median_income: 0 },
+    shift: { unemployment_rate: 1.5, yoy_inflation_rate: -0.01 },
+  },
+  boom: {
+    description:
+      "GDP grows 5% a year, vacancies rise 10% a year, incomes grow 4% a year and unemployment runs 0.5 points below trend",
+    growth: { annual_gdp: 0.05, avg_job_vacancies: 0.1, national_median_income: 0.04 },
+    shift: { unemployment_rate: -0.5, yoy_inflation_rate: 0.01 },
+  },
+};
+exports.SCENARIO_PRESETS = Object.keys(SCENARIO_PRESETS);
+
+// More than this and the response stops being readable side by side.
+const MAX_SCENARIOS = 6;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const checkInputs = (scenarioName, kind, values, checkValue) => {
+  if (values === undefined) return {};
+  if (typeof values !== "object" || values === null || Array.isArray(values)) {
+    throw badRequest(`Scenario '${scenarioName}': ${kind} must be an object keyed by macro input.`);
+  }
+  for (const [input, value] of Object.entries(values)) {
+    if (!SCENARIO_INPUTS.includes(input)) {
+      throw badRequest(
+        `Scenario '${scenarioName}': unknown ${kind} input '${input}'. Expected one of: ${SCENARIO_INPUTS.join(", ")}.`
+      );
+    }
+    checkValue(input, value);
+  }
+  return values;
+};
+
+const checkNumber = (scenarioName, kind) => (input, value) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw badRequest(`Scenario '${scenarioName}': ${kind}.${input} must be a number.`);
+  }
+};
+
+/**
+ * Validates the request's scenarios and resolves presets. Accepts preset names
+ * ("recession") or objects ({ name, preset?, growth?, levels?, shift? }); an object
+ * naming a preset starts from it and its own settings win.
+ * The baseline is always included, first.
+ * @returns {object[]} [{ name, description, growth, levels, shift }]
+ * @throws {Error} 400 on anything malformed.
+ */
+exports.resolveScenarios = (specs) => {
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw badRequest(
+      `scenarios must be a non-empty array of preset names (${Object.keys(SCENARIO_PRESETS).join(", ")}) or scenario objects.`
+    );
+  }
+  if (specs.length > MAX_SCENARIOS) {
+    throw badRequest(`At most ${MAX_SCENARIOS} scenarios can be compared at once.`);
+  }
+
+  const resolved = specs.map((spec) => {
+    const custom = typeof spec === "string" ? { preset: spec } : spec;
+    if (!custom || typeof custom !== "object") {
+      throw badRequest("Each scenario must be a preset name or an object.");
+    }
+    const presetName = custom.preset !== undefined ? String(custom.preset) : undefined;
+    if (presetName !== undefined && !SCENARIO_PRESETS[presetName]) {
+      throw badRequest(
+        `Unknown scenario preset '${presetName}'. Expected one of: ${Object.keys(SCENARIO_PRESETS).join(", ")}.`
+      );
+    }
+    const preset = presetName ? SCENARIO_PRESETS[presetName] : {};
+    const name = String(custom.name || presetName || "").trim();
+    if (!name) throw badRequest("Custom scenarios need a name.");
+
+    const growth = checkInputs(name, "growth", custom.growth, checkNumber(name, "growth"));
+    const shift = checkInputs(name, "shift", custom.shift, checkNumber(name, "shift"));
+    const levels = checkInputs(name, "levels", custom.levels, (input, byYear) => {
+      if (!byYear || typeof byYear !== "object" || Object.keys(byYear).length === 0) {
+        throw badRequest(`Scenario '${name}': levels.${input} must map years to values.`);
+      }
+      for (const [year, value] of Object.entries(byYear)) {
+        if (!/^\d{4}$/.test(year)) {
+          throw badRequest(`Scenario '${name}': levels.${input} has an invalid year '${year}'.`);
+        }
+        checkNumber(name, `levels.${input}`)(year, value);
+      }
+    });
+
+    const hasOwnSettings = [growth, shift, levels].some((v) => Object.keys(v).length > 0);
+    return {
+      name,
+      description:
+        custom.description ||
+        (presetName && !hasOwnSettings ? preset.description : null) ||
+        (presetName ? `${presetName} with custom adjustments` : "Custom scenario"),
+      growth: { ...preset.growth, ...growth },
+      levels: { ...preset.levels, ...levels },
+      shift: { ...preset.shift, ...shift },
+    };
+  });
+
+  const names = resolved.map((s) => s.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) throw badRequest(`Scenario name '${duplicate}' is used twice.`);
+
+  if (!names.includes("baseline")) {
+    resolved.unshift({
+      name: "baseline",
+      description: SCENARIO_PRESETS.baseline.description,
+      growth: {},
+      levels: {},
+      shift: {},
+    });
+  }
+  return resolved;
+};
+
+/**
+ * Applies a resolved scenario to the baseline macro projections.
+ * @param {object} trends - { input: { year: value } } history plus baseline projections.
+ * @param {object} lastActualYears - { input: last year with real data }.
+ * @param {object} scenario - From resolveScenarios.
+ * @param {number} finalYear - Last year to project.
+ * @returns {object} New trends in the same shape.
+ */
+exports.applyScenario = (trends, lastActualYears, scenario, finalYear) => {
+  const adjusted = {};
+  for (const input of SCENARIO_INPUTS) {
+    const series = { ...trends[input] };
+    const lastYear = lastActualYears[input];
+    const lastValue = parseFloat(series[lastYear]);
+
+    const levels = scenario.levels[input];
+    if (levels) {
+      const anchors = Object.entries(levels)
+        .map(([year, value]) => [parseInt(year, 10), value])
+        .sort((a, b) => a[0] - b[0]);
+      if (anchors[0][0] <= lastYear) {
+        throw badRequest(
+          `Scenario '${scenario.name}': levels.${input} must be after ${lastYear}, the last year with actual data.`
+        );
+      }
+      let [fromYear, fromValue] = [lastYear, lastValue];
+      for (let year = lastYear + 1; year <= finalYear; year++) {
+        const next = anchors.find(([anchorYear]) => anchorYear >= year);
+        if (!next) {
+          series[year] = anchors[anchors.length - 1][1];
+          continue;
+        }
+        const [toYear, toValue] = next;
+        if (year === toYear) [fromYear, fromValue] = [toYear, toValue];
+        series[year] =
+          year === toYear
+            ? toValue
+            : fromValue + ((toValue - fromValue) * (year - fromYear)) / (toYear - fromYear);
+      }
+    } else if (scenario.growth[input] !== undefined) {
+      let value = lastValue;
+      for (let year = lastYear + 1; year <= finalYear; year++) {
+        value *= 1 + scenario.growth[input];
+        series[year] = value;
+      }
+    }
+
+    if (scenario.shift[input] !== undefined) {
+      for (let year = lastYear + 1; year <= finalYear; year++) {
+        series[year] = parseFloat(series[year]) + scenario.shift[input];
+      }
+    }
+    adjusted[input] = series;
+  }
+  return adjusted;
+};
@@ -0,0 +1,135 @@
+const getModel = require("../models/flexibleData.model");
+const {
+  ensureDictionaries,
+  industriesForDegree,
+  getVersion: getTagsVersion,
+} = require("./newsTagging.service");
+
+// How news sentiment nudges a degree's forecast. All of it can be tuned per deployment:
+//   FORECAST_SENTIMENT_WINDOW_DAYS    - only articles published this recently count (default 180)
+//   FORECAST_SENTIMENT_MIN_ARTICLES   - below this many relevant articles there is no adjustment (default 3)
+//   FORECAST_SENTIMENT_MAX_ADJUSTMENT - the largest fraction a forecast can move either way (default 0.05)
+//   FORECAST_SENTIMENT_SCALE          - mean comparative score that gives ~76% of the maximum (default 0.5)
+// Negative values fall back to the default. A zero window or scale would switch the
+// adjustment off or divide by zero, so those fall back too.
+const readNumber = (name, fallback, { positive = false } = {}) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && (positive ? value > 0 : value >= 0) ? value : fallback;
+};
+
+// Salaries are multiplied by 1 + factor, so a maximum of 1 or more could make them
+// zero or negative.
+const MAX_ADJUSTMENT_LIMIT = 0.99;
+
+exports.getSentimentConfig = () => ({
+  window_days: readNumber("FORECAST_SENTIMENT_WINDOW_DAYS", 180, { positive: true }),
+  min_articles: readNumber("FORECAST_SENTIMENT_MIN_ARTICLES", 3),
+  max_adjustment: Math.min(
+    MAX_ADJUSTMENT_LIMIT,
+    readNumber("FORECAST_SENTIMENT_MAX_ADJUSTMENT", 0.05)
+  ),
+  scale: readNumber("FORECAST_SENTIMENT_SCALE", 0.5, { positive: true }),
+});
+
+// Most recent relevant articles considered, so a busy topic can't make this unbounded.
+const MAX_ARTICLES = 500;
+
+/**
+ * Maps a mean comparative score onto a forecast multiplier offset.
+ * tanh keeps it within ±max_adjustment however extreme the scores are,
+ * while staying roughly linear for the small means news usually has.
+ */
+const boundedAdjustment = (meanComparative, { max_adjustment, scale }) =>
+  max_adjustment * Math.tanh(meanComparative / scale);
+exports.boundedAdjustment = boundedAdjustment;
+
+/**
+ * Works out the sentiment adjustment for one degree from recent news tagged
+ * with that degree or with an industry it feeds into.
+ * @param {object} params
+ * @param {string} params.school
+ * @param {string} params.degree
+ * @param {object} [overrides] - Any getSentimentConfig() setting, e.g. { window_days: 90 },
+ *   and window_end (a Date) to end the window somewhere other than now.
+ * @returns {Promise<object>} { factor, mean_comparative, article_count, article_ids,
+ *   relevance, window, mapping } — factor is 0 when too few articles are relevant.
+ */
+exports.getDegreeSentimentAdjustment = async ({ school, degree }, overrides = {}) => {
+  const config = { ...exports.getSentimentConfig(), ...overrides };
+  await ensureDictionaries();
+  const industries = industriesForDegree(degree, school);
+
+  const to = config.window_end ? new Date(config.window_end) : new Date();
+  const from = new Date(to.getTime() - config.window_days * 24 * 60 * 60 * 1000);
+
+  const NewsModel = getModel("news_raw");
+  const articles = await NewsModel.find(
+    {
+      sentiment_comparative: { $type: "number" },
+      publishedAt: { $gte: from, $lte: to },
+      $or: [
+        { "tags.degrees": degree },
+        ...(industries.length > 0 ? [{ "tags.industries": { $in: industries } }] : []),
+      ],
+    },
+    { sentiment_comparative: 1 }
+  )
+    .sort({ publishedAt: -1 })
+    .limit(MAX_ARTICLES)
+    .lean();
+
+  const count = articles.length;
+  const mean = count
+    ? articles.reduce((sum, a) => sum + a.sentiment_comparative, 0) / count
+    : null;
+  const applied = count > 0 && count >= config.min_articles;
+
+  return {
+    factor: applied ? boundedAdjustment(mean, config) : 0,
+    applied,
+    mean_comparative: mean,
+    article_count: count,
+    article_ids: articles.map((a) => a._id),
+    relevance: { degree, industries },
+    window: { from, to, days: config.window_days },
+    mapping: {
+      formula: "max_adjustment * tanh(mean_comparative / scale)",
+      max_adjustment: config.max_adjustment,
+      scale: config.scale,
+      min_articles: config.min_articles,
+    },
+  };
+};
+
+/**
+ * Identifies what the sentiment adjustment would read right now: the size and newest
+ * article of news_raw, the latest sentiment scoring, tagging and merge, and the tag
+ * dictionaries that map degrees onto industries. Any upload, re-score or re-tag
+ * changes it.
+ * @returns {Promise<string>}
+ */
+exports.getNewsVersion = async () => {
+  await ensureDictionaries();
+  const [stats] = await getModel("news_raw").aggregate([
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        newest_id: { $max: "$_id" },
+        scored_at: { $max: "$sentiment_analyzed_at" },
+        tagged_at: { $max: "$tagged_at" },
+        merged_at: { $max: "$merged_at" },
+      },
+    },
+  ]);
+  const parts = stats
+    ? [
+        stats.count,
+        stats.newest_id,
+        stats.scored_at && stats.scored_at.toISOString(),
+        stats.tagged_at && stats.tagged_at.toISOString(),
+        stats.merged_at && stats.merged_at.toISOString(),
+      ]
+    : ["empty"];
+  return `news:${parts.join(":")}|tags:${getTagsVersion()}`;
+};
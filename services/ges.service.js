@@ -85,3 +85,177 @@ exports.getSchoolCoordinatesNames = async () => {
     return [];
   }
 };
+
+// GES fields compared by compareDegrees, in the order they are reported.
+const COMPARE_METRICS = [
+  "employment_rate_overall",
+  "employment_rate_ft_perm",
+  "basic_monthly_mean",
+  "basic_monthly_median",
+  "gross_monthly_mean",
+  "gross_monthly_median",
+  "gross_mthly_25_percentile",
+  "gross_mthly_75_percentile",
+];
+exports.COMPARE_METRICS = COMPARE_METRICS;
+
+const EMPLOYMENT_RATE_METRICS = ["employment_rate_overall", "employment_rate_ft_perm"];
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 6;
+
+const compareError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+// Compound annual growth between the first and last years with a value.
+const cagr = (points) => {
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first.value <= 0) return null;
+  return {
+    from_year: first.year,
+    to_year: last.year,
+    value: (last.value / first.value) ** (1 / (last.year - first.year)) - 1,
+  };
+};
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// Change in percentage points since the previous year with data, and since the first.
+const rateChange = (points) => {
+  if (points.length < 2) return null;
+  const first = points[0];
+  const previous = points[points.length - 2];
+  const last = points[points.length - 1];
+  return {
+    since_previous: { from_year: previous.year, to_year: last.year, points: roundPoints(last.value - previous.value) },
+    since_first: { from_year: first.year, to_year: last.year, points: roundPoints(last.value - first.value) },
+  };
+};
+
+// Competition ranking (1, 2, 2, 4), highest first; degrees without a value are unranked.
+const rankValues = (values) =>
+  values.map((value) =>
+    value === null ? null : values.filter((other) => other !== null && other > value).length + 1
+  );
+
+/**
+ * Compares 2-6 degrees side by side: yearly series aligned on a shared list of
+ * years (null where a degree has no record), each degree's latest-year snapshot,
+ * median salary CAGR, employment rate changes and ranks across the selection.
+ * @param {object[]} selections - [{ university, school, degree }]
+ * @param {object} [options]
+ * @param {function} [options.transform] - Applied to each GES record first (e.g. deflation).
+ * @returns {Promise<object>} { years, ranked_year, metrics, degrees }
+ * @throws {Error} 400 on a malformed selection, 404 when a degree has no GES records.
+ */
+exports.compareDegrees = async (selections, { transform = (record) => record } = {}) => {
+  if (
+    !Array.isArray(selections) ||
+    selections.length < MIN_COMPARE ||
+    selections.length > MAX_COMPARE
+  ) {
+    throw compareError(
+      400,
+      `degrees must be an array of ${MIN_COMPARE}-${MAX_COMPARE} { university, school, degree } objects.`
+    );
+  }
+  const triples = selections.map((selection, i) => {
+    const { university, school, degree } = selection || {};
+    if (![university, school, degree].every((v) => typeof v === "string" && v.trim())) {
+      throw compareError(400, `degrees[${i}] must have university, school and degree.`);
+    }
+    return { university, school, degree };
+  });
+  const keyOf = ({ university, school, degree }) => JSON.stringify([university, school, degree]);
+  const keys = triples.map(keyOf);
+  const duplicate = keys.findIndex((key, i) => keys.indexOf(key) !== i);
+  if (duplicate !== -1) {
+    throw compareError(400, `degrees[${duplicate}] is listed more than once.`);
+  }
+
+  const GESModel = getModel("ges_raw");
+  const records = await GESModel.find({ $or: triples }).sort({ year: "asc" }).lean();
+
+  // { key: { year: record } }; a later record for the same year wins
+  const byDegree = Object.fromEntries(keys.map((key) => [key, {}]));
+  for (const record of records) {
+    const year = parseInt(record.year, 10);
+    if (!isNaN(year)) byDegree[keyOf(record)][year] = transform(record);
+  }
+
+  const missing = triples.filter((triple) => Object.keys(byDegree[keyOf(triple)]).length === 0);
+  if (missing.length > 0) {
+    throw compareError(404, "No GES records found for some of the selected degrees.", { missing });
+  }
+
+  const years = [...new Set(Object.values(byDegree).flatMap((y) => Object.keys(y).map(Number)))].sort(
+    (a, b) => a - b
+  );
+
+  const degrees = triples.map((triple) => {
+    const yearly = byDegree[keyOf(triple)];
+    const available = Object.keys(yearly).map(Number).sort((a, b) => a - b);
+    const pointsFor = (metric) =>
+      available
+        .map((year) => ({ year, value: toNumber(yearly[year][metric]) }))
+        .filter((point) => point.value !== null);
+    const latestYear = available[available.length - 1];
+
+    return {
+      ...triple,
+      years_available: available,
+      series: Object.fromEntries(
+        COMPARE_METRICS.map((metric) => [
+          metric,
+          years.map((year) => (yearly[year] ? toNumber(yearly[year][metric]) : null)),
+        ])
+      ),
+      latest: {
+        year: latestYear,
+        ...Object.fromEntries(
+          COMPARE_METRICS.map((metric) => [metric, toNumber(yearly[latestYear][metric])])
+        ),
+      },
+      median_salary_cagr: cagr(pointsFor("gross_monthly_median")),
+      employment_rate_change: Object.fromEntries(
+        EMPLOYMENT_RATE_METRICS.map((metric) => [metric, rateChange(pointsFor(metric))])
+      ),
+    };
+  });
+
+  // Salaries and employment rates are ranked on the latest year every selected degree
+  // has a record for, so a 2023 salary is never ranked against a 2019 one. Without
+  // such a year those ranks are null. Higher is better for all of them.
+  const rankedYear =
+    [...years].reverse().find((year) => triples.every((triple) => byDegree[keyOf(triple)][year])) ||
+    null;
+  const valuesIn = (metric) =>
+    triples.map((triple) =>
+      rankedYear === null ? null : toNumber(byDegree[keyOf(triple)][rankedYear][metric])
+    );
+  const rankings = {
+    gross_monthly_median: valuesIn("gross_monthly_median"),
+    employment_rate_overall: valuesIn("employment_rate_overall"),
+    employment_rate_ft_perm: valuesIn("employment_rate_ft_perm"),
+    median_salary_cagr: degrees.map((d) => (d.median_salary_cagr ? d.median_salary_cagr.value : null)),
+  };
+  const ranks = Object.fromEntries(
+    Object.entries(rankings).map(([name, values]) => [name, rankValues(values)])
+  );
+  degrees.forEach((degree, i) => {
+    degree.ranks = Object.fromEntries(Object.keys(ranks).map((name) => [name, ranks[name][i]]));
+  });
+
+  return { years, ranked_year: rankedYear, metrics: COMPARE_METRICS, degrees };
+};
@@ -0,0 +1,657 @@
+const { ObjectId } = require("mongodb");
+const GesTaxonomy = require("../models/gesTaxonomy.model");
+const getModel = require("../models/flexibleData.model");
+const { createJobQueue } = require("./jobQueue.service");
+
+// Canonical schools and degrees over ges_raw's raw names.
+// Every raw (university, school) gets a school entry and every raw degree a degree
+// entry under its school. Names that only differ in case, punctuation or spacing
+// share an id from the start; anything else is only merged once an admin approves
+// a suggestion from the auto-suggest job.
+
+const SUGGESTIONS_COLLECTION = "ges_taxonomy_suggestions";
+
+const taxonomyQueue = createJobQueue("ges_taxonomy_jobs");
+
+// Pairs scoring below this aren't proposed.
+const DEFAULT_SUGGEST_THRESHOLD = 0.8;
+
+// Two names published in more than this many of the same years are two
+// programmes running side by side, not a rename.
+const MAX_SHARED_YEARS = 1;
+
+// Words that say nothing about which programme or faculty a name refers to.
+const STOPWORDS = new Set([
+  "of", "and", "the", "in", "with", "for", "a", "an",
+  "bachelor", "bachelors", "degree", "hons", "honours", "honors",
+  "programme", "program", "year",
+]);
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const schoolIdFor = (university, school) => `${slugify(university)}--${slugify(school)}`;
+
+const degreeIdFor = (schoolId, degree) => `${schoolId}--${slugify(degree)}`;
+
+// Lowercased content words, with plurals folded ("sciences" -> "science").
+const tokenize = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !STOPWORDS.has(token) && !/^\d+$/.test(token))
+    .map((token) =>
+      token.length > 3 && token.endsWith("s") && !token.endsWith("ss") ? token.slice(0, -1) : token
+    );
+
+const bigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.substring(i, i + 2));
+  return grams;
+};
+
+// Sørensen-Dice coefficient over character bigrams.
+const dice = (a, b) => {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return a === b ? 1 : 0;
+  const counts = new Map();
+  gramsA.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let overlap = 0;
+  for (const gram of gramsB) {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      overlap += 1;
+      counts.set(gram, count - 1);
+    }
+  }
+  return (2 * overlap) / (gramsA.length + gramsB.length);
+};
+
+/**
+ * Similarity of two school or degree names, 0-1: the mean of the character-bigram
+ * Dice coefficient and how much of the shorter name's words appear in the longer
+ * one, both after dropping filler like "Bachelor of" and "(Hons)". The word
+ * overlap is what matches "Computer Science" with "Bachelor of Computing
+ * (Computer Science)".
+ */
+const similarity = (nameA, nameB) => {
+  const tokensA = tokenize(nameA);
+  const tokensB = tokenize(nameB);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const setB = new Set(tokensB);
+  const shared = [...new Set(tokensA)].filter((token) => setB.has(token)).length;
+  const containment = shared / Math.min(new Set(tokensA).size, setB.size);
+  return (dice(tokensA.join(" "), tokensB.join(" ")) + containment) / 2;
+};
+exports.similarity = similarity;
+
+/**
+ * Every raw (university, school, degree) in ges_raw with the years it has data for.
+ */
+const loadCombos = () =>
+  getModel("ges_raw").aggregate([
+    {
+      $group: {
+        _id: { university: "$university", school: "$school", degree: "$degree" },
+        years: { $addToSet: "$year" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        university: "$_id.university",
+        school: "$_id.school",
+        degree: "$_id.degree",
+        years: 1,
+      },
+    },
+  ]);
+
+const latestYear = (years) => Math.max(...years.map((year) => parseInt(year, 10) || 0));
+
+/**
+ * Adds a taxonomy entry for every raw school and degree that isn't covered yet.
+ * Existing entries, and merges already approved, are left alone.
+ * @returns {Promise<object>} { combos, schools, degrees, schools_added, degrees_added },
+ *   where schools and degrees are every entry after the sync.
+ */
+const syncTaxonomy = async () => {
+  const combos = (await loadCombos()).filter((c) => c.university && c.school && c.degree);
+  const entries = await GesTaxonomy.find({}).lean();
+
+  const schools = entries.filter((e) => e.kind === "school");
+  const degrees = entries.filter((e) => e.kind === "degree");
+  const takenIds = new Set(entries.flatMap((e) => [e.canonical_id, ...e.merged_ids]));
+  const uniqueId = (base) => {
+    let id = base;
+    for (let n = 2; takenIds.has(id); n++) id = `${base}-${n}`;
+    takenIds.add(id);
+    return id;
+  };
+
+  // Newest combos first, so a new entry is named after the most recent raw name.
+  combos.sort((a, b) => latestYear(b.years) - latestYear(a.years));
+
+  const created = [];
+  const aliasAdds = new Map(); // canonical_id -> Set of raw names
+  const addAlias = (entry, name) => {
+    if (entry.aliases.includes(name)) return;
+    entry.aliases.push(name);
+    if (!created.includes(entry)) {
+      if (!aliasAdds.has(entry.canonical_id)) aliasAdds.set(entry.canonical_id, new Set());
+      aliasAdds.get(entry.canonical_id).add(name);
+    }
+  };
+
+  let schoolsAdded = 0;
+  let degreesAdded = 0;
+  for (const combo of combos) {
+    let school =
+      schools.find((s) => s.university === combo.university && s.aliases.includes(combo.school)) ||
+      schools.find(
+        (s) =>
+          s.university === combo.university &&
+          s.aliases.some((alias) => slugify(alias) === slugify(combo.school))
+      );
+    if (school) {
+      addAlias(school, combo.school);
+    } else {
+      school = {
+        kind: "school",
+        canonical_id: uniqueId(schoolIdFor(combo.university, combo.school)),
+        university: combo.university,
+        name: combo.school,
+        school_id: null,
+        aliases: [combo.school],
+        merged_ids: [],
+      };
+      schools.push(school);
+      created.push(school);
+      schoolsAdded += 1;
+    }
+
+    const siblings = degrees.filter((d) => d.school_id === school.canonical_id);
+    let degree =
+      siblings.find((d) => d.aliases.includes(combo.degree)) ||
+      siblings.find((d) => d.aliases.some((alias) => slugify(alias) === slugify(combo.degree)));
+    if (degree) {
+      addAlias(degree, combo.degree);
+    } else {
+      degree = {
+        kind: "degree",
+        canonical_id: uniqueId(degreeIdFor(school.canonical_id, combo.degree)),
+        university: combo.university,
+        name: combo.degree,
+        school_id: school.canonical_id,
+        aliases: [combo.degree],
+        merged_ids: [],
+      };
+      degrees.push(degree);
+      created.push(degree);
+      degreesAdded += 1;
+    }
+  }
+
+  if (created.length > 0) await GesTaxonomy.insertMany(created);
+  if (aliasAdds.size > 0) {
+    await GesTaxonomy.bulkWrite(
+      [...aliasAdds].map(([canonicalId, names]) => ({
+        updateOne: {
+          filter: { canonical_id: canonicalId },
+          update: { $addToSet: { aliases: { $each: [...names] } } },
+        },
+      }))
+    );
+  }
+
+  return { combos, schools, degrees, schools_added: schoolsAdded, degrees_added: degreesAdded };
+};
+exports.syncTaxonomy = syncTaxonomy;
+
+// The years each entry has data for, from its raw combos.
+const yearsByEntry = (combos, schools, degrees) => {
+  const years = new Map();
+  const add = (id, values) => {
+    if (!years.has(id)) years.set(id, new Set());
+    values.forEach((year) => years.get(id).add(parseInt(year, 10)));
+  };
+  for (const combo of combos) {
+    const school = schools.find(
+      (s) => s.university === combo.university && s.aliases.includes(combo.school)
+    );
+    if (!school) continue;
+    add(school.canonical_id, combo.years);
+    const degree = degrees.find(
+      (d) => d.school_id === school.canonical_id && d.aliases.includes(combo.degree)
+    );
+    if (degree) add(degree.canonical_id, combo.years);
+  }
+  return years;
+};
+
+/**
+ * Scores every pair of entries in a group and returns the ones worth proposing.
+ * The entry with the most recent data becomes the merge target.
+ */
+const proposePairs = (entries, years, threshold) => {
+  const proposals = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const yearsA = years.get(entries[i].canonical_id) || new Set();
+      const yearsB = years.get(entries[j].canonical_id) || new Set();
+      const shared = [...yearsA].filter((year) => yearsB.has(year));
+      if (shared.length > MAX_SHARED_YEARS) continue;
+
+      const score = similarity(entries[i].name, entries[j].name);
+      if (score < threshold) continue;
+
+      const [source, target] =
+        Math.max(...yearsA, 0) > Math.max(...yearsB, 0)
+          ? [entries[j], entries[i]]
+          : [entries[i], entries[j]];
+      proposals.push({
+        source,
+        target,
+        score: Math.round(score * 1000) / 1000,
+        shared_years: shared.sort((a, b) => a - b),
+        source_years: [...(years.get(source.canonical_id) || [])].sort((a, b) => a - b),
+        target_years: [...(years.get(target.canonical_id) || [])].sort((a, b) => a - b),
+      });
+    }
+  }
+  return proposals;
+};
+
+const groupBy = (items, keyOf) =>
+  items.reduce((groups, item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+    return groups;
+  }, new Map());
+
+/**
+ * Queues a job that brings the taxonomy up to date with ges_raw and proposes merges
+ * between similarly named schools (within a university) and degrees (within a
+ * school). Pairs already proposed, approved or rejected aren't proposed again.
+ * Degrees of two schools are only compared once the schools are merged, so run it
+ * again after approving school merges.
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Minimum similarity (0-1) to propose a merge.
+ * @returns {Promise<object>} The queued ges_taxonomy_jobs document.
+ */
+exports.enqueueSuggest = async ({ threshold } = {}) => {
+  const minScore =
+    threshold !== undefined
+      ? Number(threshold)
+      : parseFloat(process.env.GES_TAXONOMY_SUGGEST_THRESHOLD) || DEFAULT_SUGGEST_THRESHOLD;
+  if (!Number.isFinite(minScore) || minScore <= 0 || minScore > 1) {
+    const error = new Error("threshold must be a number between 0 and 1.");
+    error.status = 400;
+    throw error;
+  }
+
+  return taxonomyQueue.enqueue(
+    {
+      type: "suggest_merges",
+      threshold: minScore,
+      schools_added: 0,
+      degrees_added: 0,
+      pairs_scored: 0,
+      suggestions_created: 0,
+    },
+    async (progress) => {
+      const { combos, schools, degrees, schools_added, degrees_added } = await syncTaxonomy();
+      await progress.report({ schools_added, degrees_added });
+
+      const years = yearsByEntry(combos, schools, degrees);
+      const groups = [
+        ...[...groupBy(schools, (s) => s.university).values()].map((group) => ["school", group]),
+        ...[...groupBy(degrees, (d) => d.school_id).values()].map((group) => ["degree", group]),
+      ];
+
+      const SuggestionModel = getModel(SUGGESTIONS_COLLECTION);
+      let pairsScored = 0;
+      let created = 0;
+      for (const [kind, group] of groups) {
+        pairsScored += (group.length * (group.length - 1)) / 2;
+        for (const proposal of proposePairs(group, years, minScore)) {
+          const pairKey = [proposal.source.canonical_id, proposal.target.canonical_id]
+            .sort()
+            .join("|");
+          const result = await SuggestionModel.updateOne(
+            { pair_key: pairKey },
+            {
+              $setOnInsert: {
+                pair_key: pairKey,
+                kind,
+                university: proposal.target.university,
+                school_id: kind === "degree" ? proposal.target.school_id : null,
+                source_id: proposal.source.canonical_id,
+                source_name: proposal.source.name,
+                target_id: proposal.target.canonical_id,
+                target_name: proposal.target.name,
+                score: proposal.score,
+                shared_years: proposal.shared_years,
+                source_years: proposal.source_years,
+                target_years: proposal.target_years,
+                method: "similarity",
+                status: "pending",
+                job_id: progress.jobId,
+                created_at: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+          if (result.upsertedCount > 0) created += 1;
+        }
+      }
+
+      return { pairs_scored: pairsScored, suggestions_created: created };
+    }
+  );
+};
+
+exports.getSuggestJob = (id) => taxonomyQueue.getJob(id);
+
+exports.markInterruptedTaxonomyJobs = () => taxonomyQueue.markInterrupted();
+
+const SUGGESTION_STATUSES = ["pending", "approved", "rejected", "superseded"];
+exports.SUGGESTION_STATUSES = SUGGESTION_STATUSES;
+
+/**
+ * Lists merge suggestions, best score first.
+ * @returns {Promise<{ total: number, suggestions: object[] }>}
+ */
+exports.listSuggestions = async ({ status = "pending", kind, university } = {}, page, limit) => {
+  if (!SUGGESTION_STATUSES.includes(status)) {
+    const error = new Error(
+      `Invalid status '${status}'. Expected one of: ${SUGGESTION_STATUSES.join(", ")}.`
+    );
+    error.status = 400;
+    throw error;
+  }
+  const filter = {
+    status,
+    ...(kind ? { kind: String(kind) } : {}),
+    ...(university ? { university: String(university) } : {}),
+  };
+  const SuggestionModel = getModel(SUGGESTIONS_COLLECTION);
+  const [total, suggestions] = await Promise.all([
+    SuggestionModel.countDocuments(filter),
+    SuggestionModel.find(filter)
+      .sort({ score: -1, created_at: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+  return { total, suggestions };
+};
+
+const findSuggestion = async (id) => {
+  if (!ObjectId.isValid(id)) return null;
+  return getModel(SUGGESTIONS_COLLECTION).findOne({ _id: new ObjectId(id) }).lean();
+};
+
+/**
+ * Finds a taxonomy entry by its canonical id, or by the id of an entry since
+ * merged into it.
+ */
+const findEntry = (id) =>
+  GesTaxonomy.findOne({ $or: [{ canonical_id: String(id) }, { merged_ids: String(id) }] }).lean();
+exports.findEntry = findEntry;
+
+/**
+ * Lists taxonomy entries, optionally filtered by kind, university, school and a
+ * case-insensitive name or alias search.
+ */
+exports.listEntries = ({ kind, university, school_id, q } = {}) => {
+  const filter = {
+    ...(kind ? { kind: String(kind) } : {}),
+    ...(university ? { university: String(university) } : {}),
+    ...(school_id ? { school_id: String(school_id) } : {}),
+  };
+  if (q) {
+    const pattern = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = [{ name: pattern }, { aliases: pattern }];
+  }
+  return GesTaxonomy.find(filter).sort({ university: 1, kind: -1, name: 1 }).lean();
+};
+
+/**
+ * Moves a merged school's degrees to the school it was merged into. A degree whose
+ * name (ignoring case and punctuation) the target school already has is folded into
+ * that entry, as it would read the same records anyway.
+ */
+const moveDegrees = async (fromSchoolId, toSchoolId) => {
+  const [moving, existing] = await Promise.all([
+    GesTaxonomy.find({ kind: "degree", school_id: fromSchoolId }).lean(),
+    GesTaxonomy.find({ kind: "degree", school_id: toSchoolId }).lean(),
+  ]);
+  for (const degree of moving) {
+    const slugs = degree.aliases.map(slugify);
+    const twin = existing.find((other) => other.aliases.some((alias) => slugs.includes(slugify(alias))));
+    if (!twin) {
+      await GesTaxonomy.updateOne(
+        { canonical_id: degree.canonical_id },
+        { $set: { school_id: toSchoolId } }
+      );
+      continue;
+    }
+    await GesTaxonomy.updateOne(
+      { canonical_id: twin.canonical_id },
+      {
+        $addToSet: {
+          aliases: { $each: degree.aliases },
+          merged_ids: { $each: [degree.canonical_id, ...degree.merged_ids] },
+        },
+      }
+    );
+    await GesTaxonomy.deleteOne({ canonical_id: degree.canonical_id });
+  }
+};
+
+/**
+ * Approves a pending suggestion: the source entry's aliases (and, for a school,
+ * its degrees; see moveDegrees) move to the target and the source id keeps
+ * resolving to the target.
+ * Other pending suggestions involving the source are marked superseded; the next
+ * suggest run re-scores them against the merged entry.
+ * @param {string} id - Suggestion id.
+ * @param {object} [options]
+ * @param {string} [options.name] - New display name for the merged entry.
+ * @param {string} [options.decidedBy] - User id recorded on the suggestion.
+ * @returns {Promise<{ suggestion: object, entry: object }|null>} null if not found.
+ * @throws {Error} 409 if the suggestion was already decided.
+ */
+exports.approveSuggestion = async (id, { name, decidedBy = null } = {}) => {
+  const suggestion = await findSuggestion(id);
+  if (!suggestion) return null;
+  if (suggestion.status !== "pending") {
+    throw conflict(`Suggestion is already ${suggestion.status}.`);
+  }
+
+  const [source, target] = await Promise.all([
+    findEntry(suggestion.source_id),
+    findEntry(suggestion.target_id),
+  ]);
+  if (!source || !target) throw notFound("A taxonomy entry in this suggestion no longer exists.");
+
+  if (source.canonical_id !== target.canonical_id) {
+    await GesTaxonomy.updateOne(
+      { canonical_id: target.canonical_id },
+      {
+        $addToSet: {
+          aliases: { $each: source.aliases },
+          merged_ids: { $each: [source.canonical_id, ...source.merged_ids] },
+        },
+        ...(name ? { $set: { name: String(name).trim() } } : {}),
+      }
+    );
+    if (source.kind === "school") await moveDegrees(source.canonical_id, target.canonical_id);
+    await GesTaxonomy.deleteOne({ canonical_id: source.canonical_id });
+  }
+
+  const SuggestionModel = getModel(SUGGESTIONS_COLLECTION);
+  const decidedAt = new Date();
+  await SuggestionModel.updateOne(
+    { _id: suggestion._id },
+    { $set: { status: "approved", decided_at: decidedAt, decided_by: decidedBy } }
+  );
+  await SuggestionModel.updateMany(
+    {
+      _id: { $ne: suggestion._id },
+      status: "pending",
+      $or: [{ source_id: source.canonical_id }, { target_id: source.canonical_id }],
+    },
+    { $set: { status: "superseded", decided_at: decidedAt } }
+  );
+
+  return {
+    suggestion: { ...suggestion, status: "approved", decided_at: decidedAt, decided_by: decidedBy },
+    entry: await findEntry(target.canonical_id),
+  };
+};
+
+/**
+ * Merges two entries an admin has matched by hand, e.g. a faculty rename whose
+ * names have nothing in common. Recorded as an approved manual suggestion.
+ * Degrees can only be merged within one school; merge their schools first.
+ * @returns {Promise<{ suggestion: object, entry: object }>}
+ * @throws {Error} 404 for an unknown id, 400 for entries that can't be merged.
+ */
+exports.mergeEntries = async (sourceId, targetId, { name, decidedBy = null } = {}) => {
+  const [source, target] = await Promise.all([findEntry(sourceId), findEntry(targetId)]);
+  if (!source) throw notFound(`No taxonomy entry with id '${sourceId}'.`);
+  if (!target) throw notFound(`No taxonomy entry with id '${targetId}'.`);
+
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  if (source.canonical_id === target.canonical_id) {
+    throw invalid("Both ids refer to the same entry.");
+  }
+  if (source.kind !== target.kind || source.university !== target.university) {
+    throw invalid("Only two schools or two degrees of the same university can be merged.");
+  }
+  if (source.kind === "degree" && source.school_id !== target.school_id) {
+    throw invalid("These degrees belong to different schools; merge the schools first.");
+  }
+
+  const pairKey = [source.canonical_id, target.canonical_id].sort().join("|");
+  const SuggestionModel = getModel(SUGGESTIONS_COLLECTION);
+  // A manual merge overrides any earlier decision on the same pair.
+  await SuggestionModel.updateOne(
+    { pair_key: pairKey },
+    {
+      $set: {
+        pair_key: pairKey,
+        kind: source.kind,
+        university: target.university,
+        school_id: source.kind === "degree" ? target.school_id : null,
+        source_id: source.canonical_id,
+        source_name: source.name,
+        target_id: target.canonical_id,
+        target_name: target.name,
+        score: Math.round(similarity(source.name, target.name) * 1000) / 1000,
+        method: "manual",
+        status: "pending",
+        created_at: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  const suggestion = await SuggestionModel.findOne({ pair_key: pairKey }).lean();
+  return exports.approveSuggestion(String(suggestion._id), { name, decidedBy });
+};
+
+/**
+ * Rejects a pending suggestion; the pair won't be proposed again.
+ * @returns {Promise<object|null>} The updated suggestion, or null if not found.
+ * @throws {Error} 409 if the suggestion was already decided.
+ */
+exports.rejectSuggestion = async (id, { decidedBy = null } = {}) => {
+  const suggestion = await findSuggestion(id);
+  if (!suggestion) return null;
+  if (suggestion.status !== "pending") {
+    throw conflict(`Suggestion is already ${suggestion.status}.`);
+  }
+  const decidedAt = new Date();
+  await getModel(SUGGESTIONS_COLLECTION).updateOne(
+    { _id: suggestion._id },
+    { $set: { status: "rejected", decided_at: decidedAt, decided_by: decidedBy } }
+  );
+  return { ...suggestion, status: "rejected", decided_at: decidedAt, decided_by: decidedBy };
+};
+
+/**
+ * Resolves a canonical degree id to its entry, its school and the ges_raw filter
+ * covering every raw name either has gone by.
+ * @returns {Promise<{ degree: object, school: object, filter: object }>}
+ * @throws {Error} 404 when the id isn't a known degree.
+ */
+const resolveDegree = async (id) => {
+  const degree = await findEntry(id);
+  if (!degree || degree.kind !== "degree") {
+    throw notFound(`No canonical degree with id '${id}'.`);
+  }
+  const school = await GesTaxonomy.findOne({ canonical_id: degree.school_id }).lean();
+  if (!school) {
+    throw notFound(`Canonical school '${degree.school_id}' for degree '${id}' no longer exists.`);
+  }
+  return {
+    degree,
+    school,
+    filter: {
+      university: degree.university,
+      school: { $in: school.aliases },
+      degree: { $in: degree.aliases },
+    },
+  };
+};
+exports.resolveDegree = resolveDegree;
+
+/**
+ * Returns a canonical degree's GES records across all its raw names, one per year.
+ * Two raw records for the same year usually mean two programmes were merged by
+ * mistake; the first is kept and the year is reported in duplicate_years.
+ */
+exports.getCanonicalHistory = async (id) => {
+  const { degree, school, filter } = await resolveDegree(id);
+  const records = await getModel("ges_raw").find(filter).sort({ year: "asc" }).lean();
+
+  const byYear = new Map();
+  const duplicateYears = new Set();
+  for (const record of records) {
+    const year = parseInt(record.year, 10);
+    if (byYear.has(year)) duplicateYears.add(year);
+    else byYear.set(year, record);
+  }
+
+  return {
+    degree,
+    school,
+    records: [...byYear.values()],
+    duplicate_years: [...duplicateYears],
+  };
+};
@@ -0,0 +1,116 @@
+const { ObjectId } = require("mongodb");
+const getModel = require("../models/flexibleData.model");
+
+/**
+ * Creates a simple in-process job queue whose jobs are persisted to a collection.
+ * Jobs run one at a time in the order they were enqueued; each job document keeps
+ * its status, progress counters, errors and timing so it doubles as run history.
+ * @param {string} collectionName - The collection job documents are stored in.
+ */
+exports.createJobQueue = (collectionName) => {
+  const JobModel = getModel(collectionName);
+  let chain = Promise.resolve();
+
+  const update = (id, fields) =>
+    JobModel.updateOne({ _id: id }, { $set: fields });
+
+  const run = async (id, worker) => {
+    const startedAt = new Date();
+    await update(id, { status: "running", started_at: startedAt });
+
+    // Handed to the worker so it can report progress and non-fatal errors as it goes.
+    const progress = {
+      jobId: id,
+      report: (fields) => update(id, fields),
+      error: (message) =>
+        JobModel.updateOne(
+          { _id: id },
+          { $push: { error_log: { message, at: new Date() } } }
+        ),
+    };
+
+    try {
+      const result = await worker(progress);
+      const finishedAt = new Date();
+      await update(id, {
+        ...result,
+        status: "completed",
+        finished_at: finishedAt,
+        duration_ms: finishedAt - startedAt,
+      });
+    } catch (error) {
+      console.error(`[JOB] ${collectionName} ${id} failed:`, error);
+      const finishedAt = new Date();
+      await JobModel.updateOne(
+        { _id: id },
+        {
+          $set: {
+            status: "failed",
+            finished_at: finishedAt,
+            duration_ms: finishedAt - startedAt,
+          },
+          $push: {
+            error_log: {
+              message: error.message,
+              problems: error.problems,
+              at: finishedAt,
+            },
+          },
+        }
+      );
+    }
+  };
+
+  return {
+    /**
+     * Persists a new job and schedules it behind any jobs already queued.
+     * @param {object} fields - Descriptive fields stored on the job document.
+     * @param {(progress: object) => Promise<object>} worker - Does the work and
+     *   resolves with fields to merge into the finished job document.
+     * @returns {Promise<object>} The queued job document.
+     */
+    enqueue: async (fields, worker) => {
+      const job = await JobModel.create({
+        ...fields,
+        status: "queued",
+        error_log: [],
+        queued_at: new Date(),
+      });
+      // Swallow bookkeeping failures so one broken job can't stall the queue.
+      chain = chain
+        .then(() => run(job._id, worker))
+        .catch((error) =>
+          console.error(`[JOB] ${collectionName} bookkeeping error:`, error)
+        );
+      return job.toObject();
+    },
+
+    /** Returns a job document by id, or null when it doesn't exist. */
+    getJob: async (id) => {
+      if (!ObjectId.isValid(id)) return null;
+      return JobModel.findOne({ _id: new ObjectId(id) }).lean();
+    },
+
+    /** Lists job documents matching a filter, newest first. */
+    listJobs: (filter = {}, limit = 20) =>
+      JobModel.find(filter).sort({ queued_at: -1 }).limit(limit).lean(),
+
+    /**
+     * Marks jobs left queued or running by a previous process as failed,
+     * since the in-memory queue that would have finished them is gone.
+     */
+    markInterrupted: () =>
+      JobModel.updateMany(
+        { status: { $in: ["queued", "running"] } },
+        {
+          $set: { status: "failed", finished_at: new Date() },
+          $push: {
+            error_log: {
+              message: "Interrupted by a server restart.",
+              at: new Date(),
+            },
+          },
+        }
+      ),
+  };
+};
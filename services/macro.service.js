@@ -0,0 +1,269 @@
+const getModel = require("../models/flexibleData.model");
+
+// Normalised long-format store for macroeconomic indicators.
+// Each document is one observation: { dataset, series, period, frequency, value, date, year }
+// where `period` is "2023", "2023-Q4" or "2023-12" and `date` is the UTC start of that period.
+const TIMESERIES_COLLECTION = "macro_timeseries";
+
+const FREQUENCIES = ["monthly", "quarterly", "annual"];
+exports.FREQUENCIES = FREQUENCIES;
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// How each dataset is reshaped into macro_timeseries. A registry entry may carry
+// its own `timeseries` config, which takes precedence over these defaults.
+//   layout "wide": one document per series (seriesField), one key per period (e.g. "2023Dec")
+//   layout "long": one document per period (periodField), each valueField becomes a series
+// `aggregation` says how to resample to a coarser frequency: flows (GDP) are summed,
+// levels and rates are averaged.
+const MACRO_DATASETS = {
+  cpi: { layout: "wide", seriesField: "DataSeries", aggregation: "mean" },
+  unemployment: { layout: "wide", seriesField: "DataSeries", aggregation: "mean" },
+  vacancies: { layout: "wide", seriesField: "DataSeries", aggregation: "mean" },
+  gdpindustryquarterly: { layout: "wide", seriesField: "DataSeries", aggregation: "sum" },
+  medianincome: {
+    layout: "long",
+    periodField: "year",
+    valueFields: ["med_income_incl_empcpf", "med_income_excl_empcpf"],
+    aggregation: "mean",
+  },
+};
+
+exports.resolveTimeseriesConfig = (dataset) =>
+  dataset.timeseries || MACRO_DATASETS[dataset.name] || null;
+
+/**
+ * Parses an upstream period key ("2023", "20234Q", "2023Dec") or a query value
+ * ("2023", "2023-Q4", "2023-12") into { period, frequency, date, year }.
+ * Returns null for anything that isn't a period.
+ */
+const parsePeriod = (key) => {
+  const text = String(key).trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})$/))) {
+    const year = parseInt(match[1], 10);
+    return { period: `${year}`, frequency: "annual", year, date: new Date(Date.UTC(year, 0, 1)) };
+  }
+  if ((match = text.match(/^(\d{4})-?Q?([1-4])Q?$/)) && /Q/.test(text)) {
+    const year = parseInt(match[1], 10);
+    const quarter = parseInt(match[2], 10);
+    return {
+      period: `${year}-Q${quarter}`,
+      frequency: "quarterly",
+      year,
+      date: new Date(Date.UTC(year, (quarter - 1) * 3, 1)),
+    };
+  }
+  if ((match = text.match(/^(\d{4})([A-Za-z]{3})$/))) {
+    const month = MONTHS.indexOf(match[2]);
+    if (month === -1) return null;
+    const year = parseInt(match[1], 10);
+    return {
+      period: `${year}-${String(month + 1).padStart(2, "0")}`,
+      frequency: "monthly",
+      year,
+      date: new Date(Date.UTC(year, month, 1)),
+    };
+  }
+  if ((match = text.match(/^(\d{4})-(\d{2})$/))) {
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10) - 1;
+    if (month < 0 || month > 11) return null;
+    return { period: text, frequency: "monthly", year, date: new Date(Date.UTC(year, month, 1)) };
+  }
+  return null;
+};
+exports.parsePeriod = parsePeriod;
+
+/**
+ * Turns loaded records into macro_timeseries observations.
+ */
+const toObservations = (dataset, config, records) => {
+  const observations = [];
+  const push = (series, periodKey, value) => {
+    const parsed = parsePeriod(periodKey);
+    if (!parsed || value === null || value === undefined || isNaN(value)) return;
+    observations.push({
+      dataset: dataset.name,
+      series,
+      ...parsed,
+      value: Number(value),
+    });
+  };
+
+  for (const record of records) {
+    if (config.layout === "long") {
+      for (const field of config.valueFields) {
+        push(field, record[config.periodField], record[field]);
+      }
+    } else {
+      const series = record[config.seriesField];
+      if (!series) continue;
+      for (const [key, value] of Object.entries(record)) {
+        if (key !== config.seriesField) push(series, key, value);
+      }
+    }
+  }
+
+  return observations;
+};
+
+/**
+ * Rebuilds a dataset's observations in macro_timeseries from freshly loaded records.
+ * Observations are upserted and then anything not touched by this load is removed,
+ * so readers never see the dataset disappear mid-rebuild. A load that reshapes into
+ * no observations at all (its columns failed to parse) leaves the old ones in place.
+ * @returns {Promise<number>} The number of observations written.
+ */
+exports.rebuildTimeseries = async (dataset, records) => {
+  const config = exports.resolveTimeseriesConfig(dataset);
+  if (!config) return 0;
+
+  const TimeseriesModel = getModel(TIMESERIES_COLLECTION);
+  const collection = TimeseriesModel.collection;
+  await collection.createIndex({ dataset: 1, series: 1, period: 1 }, { unique: true });
+  await collection.createIndex({ dataset: 1, series: 1, date: 1 });
+
+  const observations = toObservations(dataset, config, records);
+  if (observations.length === 0) {
+    console.log(
+      `[MACRO] '${dataset.name}' produced no observations, keeping the existing ${TIMESERIES_COLLECTION} data.`
+    );
+    return 0;
+  }
+  const loadedAt = new Date();
+  const BATCH_SIZE = 1000;
+
+  for (let i = 0; i < observations.length; i += BATCH_SIZE) {
+    await collection.bulkWrite(
+      observations.slice(i, i + BATCH_SIZE).map((obs) => ({
+        updateOne: {
+          filter: { dataset: obs.dataset, series: obs.series, period: obs.period },
+          update: { $set: { ...obs, loaded_at: loadedAt } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  await collection.deleteMany({ dataset: dataset.name, loaded_at: { $ne: loadedAt } });
+
+  console.log(
+    `[MACRO] Wrote ${observations.length} observations for '${dataset.name}' into ${TIMESERIES_COLLECTION}.`
+  );
+  return observations.length;
+};
+
+// Number of native periods that make up one period of a coarser frequency.
+const PERIODS_PER = {
+  monthly: { monthly: 1, quarterly: 3, annual: 12 },
+  quarterly: { quarterly: 1, annual: 4 },
+  annual: { annual: 1 },
+};
+
+const bucketKey = (obs, frequency) => {
+  if (frequency === "annual") return `${obs.year}`;
+  if (frequency === "quarterly") {
+    return `${obs.year}-Q${Math.floor(obs.date.getUTCMonth() / 3) + 1}`;
+  }
+  return obs.period;
+};
+
+const AGGREGATORS = {
+  mean: (values) => values.reduce((s, v) => s + v, 0) / values.length,
+  sum: (values) => values.reduce((s, v) => s + v, 0),
+  last: (values) => values[values.length - 1],
+};
+
+/**
+ * Reads a series, optionally restricted to a period range and resampled to a
+ * coarser frequency. Only complete buckets are returned when resampling
+ * (e.g. a year needs all four quarters), matching how the forecast pipeline
+ * treats partial years.
+ * @param {string} datasetName
+ * @param {string} series - e.g. "All Items", "Total"
+ * @param {object} [options]
+ * @param {string} [options.from] - "2015", "2015-Q2" or "2015-06" (inclusive)
+ * @param {string} [options.to] - Same formats (inclusive of that period)
+ * @param {string} [options.frequency] - Target frequency; defaults to the native one.
+ * @param {string} [options.aggregation] - Overrides the dataset's aggregation.
+ * @returns {Promise<{ frequency: string, native_frequency: string|null, aggregation: string, points: object[] }>}
+ */
+exports.getSeries = async (datasetName, series, options = {}) => {
+  const TimeseriesModel = getModel(TIMESERIES_COLLECTION);
+  const filter = { dataset: datasetName, series };
+
+  const from = options.from ? parsePeriod(options.from) : null;
+  const to = options.to ? parsePeriod(options.to) : null;
+  if ((options.from && !from) || (options.to && !to)) {
+    const error = new Error("from/to must look like 2015, 2015-Q2 or 2015-06.");
+    error.status = 400;
+    throw error;
+  }
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from.date;
+    if (to) {
+      // Inclusive of the whole `to` period
+      const end = new Date(to.date.getTime());
+      const months = { monthly: 1, quarterly: 3, annual: 12 }[to.frequency];
+      end.setUTCMonth(end.getUTCMonth() + months);
+      filter.date.$lt = end;
+    }
+  }
+
+  const observations = await TimeseriesModel.find(filter).sort({ date: 1 }).lean();
+  const nativeFrequency = observations.length > 0 ? observations[0].frequency : null;
+  const frequency = options.frequency || nativeFrequency;
+  const config = MACRO_DATASETS[datasetName] || {};
+  const aggregation = options.aggregation || config.aggregation || "mean";
+
+  if (!nativeFrequency || frequency === nativeFrequency) {
+    return {
+      frequency,
+      native_frequency: nativeFrequency,
+      aggregation,
+      points: observations.map(({ period, date, value }) => ({ period, date, value })),
+    };
+  }
+
+  const perBucket = PERIODS_PER[nativeFrequency][frequency];
+  if (!perBucket) {
+    const error = new Error(
+      `Cannot resample ${nativeFrequency} data to the finer ${frequency} frequency.`
+    );
+    error.status = 400;
+    throw error;
+  }
+  if (!AGGREGATORS[aggregation]) {
+    const error = new Error(`Unknown aggregation '${aggregation}'.`);
+    error.status = 400;
+    throw error;
+  }
+
+  const buckets = new Map();
+  for (const obs of observations) {
+    const key = bucketKey(obs, frequency);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(obs.value);
+  }
+
+  const points = [];
+  for (const [period, values] of buckets) {
+    if (values.length !== perBucket) continue;
+    const date = parsePeriod(period).date;
+    points.push({ period, date, value: AGGREGATORS[aggregation](values) });
+  }
+
+  return { frequency, native_frequency: nativeFrequency, aggregation, points };
+};
+
+/**
+ * Lists the series available for a dataset in macro_timeseries.
+ */
+exports.listSeries = async (datasetName) => {
+  const TimeseriesModel = getModel(TIMESERIES_COLLECTION);
+  const series = await TimeseriesModel.distinct("series", { dataset: datasetName });
+  return series.sort();
+};
@@ -0,0 +1,463 @@
+const crypto = require("crypto");
+const getModel = require("../models/flexibleData.model");
+
+// Comparative-score cut-offs used for sentiment bands in search filters and facets.
+const SENTIMENT_BANDS = {
+  negative: { $lt: -0.05 },
+  neutral: { $gte: -0.05, $lte: 0.05 },
+  positive: { $gt: 0.05 },
+};
+exports.SENTIMENT_BANDS = SENTIMENT_BANDS;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const exactIgnoreCase = (text) => ({
+  $regex: `^${escapeRegex(text.trim())}$`,
+  $options: "i",
+});
+
+let indexesReady = null;
+
+/**
+ * Creates the indexes news search relies on (once per process).
+ * The text index weights titles above descriptions above body content.
+ */
+exports.ensureNewsIndexes = () => {
+  if (!indexesReady) {
+    const collection = getModel("news_raw").collection;
+    indexesReady = Promise.all([
+      collection.createIndex(
+        { title: "text", description: "text", content: "text" },
+        {
+          name: "news_text",
+          weights: { title: 10, description: 5, content: 1 },
+          default_language: "english",
+        }
+      ),
+      collection.createIndex({ publishedAt: -1 }),
+      collection.createIndex({ "tags.industries": 1 }),
+      collection.createIndex({ "tags.degrees": 1 }),
+      collection.createIndex({ "tags.universities": 1 }),
+      collection.createIndex({ "tags.schools": 1 }),
+      collection.createIndex({ "tags.occupations": 1 }),
+      collection.createIndex({ url_canonical: 1 }),
+      collection.createIndex({ content_fingerprint: 1 }),
+      collection.createIndex({ title_fingerprint: 1 }),
+    ]).catch((error) => {
+      indexesReady = null; // Try again on the next request
+      throw error;
+    });
+  }
+  return indexesReady;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Search parameters that take a single string. Repeating one (?q=a&q=b) gives an
+// array, which is rejected rather than passed into a query.
+const FILTER_PARAMS = [
+  "q", "from", "to", "source", "provider", "sentiment", "degree", "industry",
+  "university", "school", "occupation",
+];
+
+// Fields GET /api/news may sort on; "relevance" is the text-search score.
+const SORT_FIELDS = [
+  "relevance", "publishedAt", "fetched_at", "title", "sentiment_score",
+  "sentiment_comparative",
+];
+exports.SORT_FIELDS = SORT_FIELDS;
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`Invalid '${name}' date.`);
+  return date;
+};
+
+/**
+ * Builds a news_raw match stage from search query parameters.
+ * @param {object} params
+ * @param {string} [params.q] - Keywords, matched against title/description/content.
+ * @param {string} [params.from] - Earliest publishedAt (any Date-parsable string).
+ * @param {string} [params.to] - Latest publishedAt.
+ * @param {string} [params.source] - Publisher name, e.g. "The Straits Times".
+ * @param {string} [params.provider] - How the article got in, e.g. "manual_upload".
+ * @param {string} [params.sentiment] - One of SENTIMENT_BANDS.
+ * @param {string} [params.degree] - Tagged GES degree.
+ * @param {string} [params.industry] - Tagged GDP industry, e.g. "Information & Communications".
+ * @param {string} [params.university] - Tagged university.
+ * @param {string} [params.school] - Tagged GES school, e.g. "School of Computing".
+ * @param {string} [params.occupation] - Tagged occupation.
+ */
+exports.buildNewsFilter = (params) => {
+  for (const name of FILTER_PARAMS) {
+    if (params[name] !== undefined && typeof params[name] !== "string") {
+      throw badRequest(`'${name}' must be a single value.`);
+    }
+  }
+  const {
+    q, from, to, source, provider, sentiment, degree, industry, university, school, occupation,
+  } = params;
+  const conditions = [];
+
+  if (q && q.trim()) conditions.push({ $text: { $search: q.trim() } });
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = parseDate(from, "from");
+    if (to) range.$lte = parseDate(to, "to");
+    conditions.push({ publishedAt: range });
+  }
+
+  // Uploaded articles carry either a NewsAPI-style { source: { name } } or a plain string.
+  if (source) {
+    conditions.push({
+      $or: [{ "source.name": exactIgnoreCase(source) }, { source: exactIgnoreCase(source) }],
+    });
+  }
+  if (provider) conditions.push({ provider });
+
+  if (sentiment) {
+    if (!SENTIMENT_BANDS[sentiment]) {
+      throw badRequest(
+        `Invalid sentiment band '${sentiment}'. Expected one of: ${Object.keys(SENTIMENT_BANDS).join(", ")}.`
+      );
+    }
+    conditions.push({ sentiment_comparative: SENTIMENT_BANDS[sentiment] });
+  }
+
+  if (degree) conditions.push({ "tags.degrees": exactIgnoreCase(degree) });
+  if (industry) conditions.push({ "tags.industries": exactIgnoreCase(industry) });
+  if (university) conditions.push({ "tags.universities": exactIgnoreCase(university) });
+  if (school) conditions.push({ "tags.schools": exactIgnoreCase(school) });
+  if (occupation) conditions.push({ "tags.occupations": exactIgnoreCase(occupation) });
+
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+// The buildNewsFilter parameters background jobs accept, plus outdated_only.
+const JOB_FILTERS = [
+  "q", "from", "to", "source", "provider", "sentiment", "degree", "industry",
+  "university", "school", "occupation", "outdated_only",
+];
+
+/**
+ * Picks the news filters a background job may use out of a request body,
+ * coercing values to strings (outdated_only to a boolean) so no operators slip through.
+ */
+exports.pickJobFilters = (requested = {}) =>
+  JOB_FILTERS.reduce((picked, key) => {
+    const value = requested[key];
+    if (value === undefined || value === "") return picked;
+    picked[key] =
+      key === "outdated_only" ? value === true || value === "true" : String(value);
+    return picked;
+  }, {});
+
+// Label an article's sentiment band inside an aggregation.
+const sentimentBandExpression = {
+  $switch: {
+    branches: [
+      {
+        case: { $not: [{ $isNumber: "$sentiment_comparative" }] },
+        then: "unscored",
+      },
+      { case: { $lt: ["$sentiment_comparative", -0.05] }, then: "negative" },
+      { case: { $gt: ["$sentiment_comparative", 0.05] }, then: "positive" },
+    ],
+    default: "neutral",
+  },
+};
+
+const countBy = (expression) => [
+  { $group: { _id: expression, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: 20 },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+const countByArray = (field) => [
+  { $unwind: `$${field}` },
+  ...countBy(`$${field}`),
+];
+
+/**
+ * Runs a news search and returns one page of results, the total and facet counts
+ * (sources, providers, sentiment bands and each kind of tag) for the
+ * whole matching set.
+ * @param {object} params - See buildNewsFilter, plus sort (one of SORT_FIELDS) and order.
+ * @param {number} page - 1-based page number.
+ * @param {number} limit - Page size.
+ */
+exports.searchNews = async (params, page, limit) => {
+  await exports.ensureNewsIndexes();
+
+  const filter = exports.buildNewsFilter(params);
+  const hasText = Boolean(params.q && params.q.trim());
+
+  // Keyword searches rank by relevance unless the caller asked for a specific sort.
+  const sortField = params.sort || (hasText ? "relevance" : "publishedAt");
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw badRequest(`Invalid sort '${sortField}'. Expected one of: ${SORT_FIELDS.join(", ")}.`);
+  }
+  if (sortField === "relevance" && !hasText) {
+    throw badRequest("sort=relevance needs a keyword search (q).");
+  }
+  const sortDir = params.order === "asc" ? 1 : -1;
+  const sort =
+    sortField === "relevance"
+      ? { relevance: -1, publishedAt: -1 }
+      : { [sortField]: sortDir };
+
+  const NewsModel = getModel("news_raw");
+  const [result] = await NewsModel.aggregate([
+    { $match: filter },
+    ...(hasText ? [{ $addFields: { relevance: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        data: [{ $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+        sources: countBy({ $ifNull: ["$source.name", "$source"] }),
+        providers: countBy("$provider"),
+        sentiment: countBy(sentimentBandExpression),
+        industries: countByArray("tags.industries"),
+        degrees: countByArray("tags.degrees"),
+        universities: countByArray("tags.universities"),
+        schools: countByArray("tags.schools"),
+        occupations: countByArray("tags.occupations"),
+      },
+    },
+  ]);
+
+  const { data, total, ...facets } = result;
+  return {
+    articles: data,
+    total: total.length > 0 ? total[0].count : 0,
+    facets,
+  };
+};
+
+// --- Deduplication ---
+
+// Query parameters that only track where a click came from.
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|mc_cid|mc_eid|ocid|cmpid|ref|ref_src|share|s_cid)$/i;
+
+// Near-duplicate titles must also be published this close together.
+const NEAR_DUPLICATE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is",
+  "it", "of", "on", "or", "that", "the", "to", "was", "were", "will", "with",
+]);
+
+/**
+ * Canonicalises an article URL so trivially different links to the same page match:
+ * https, lowercase host without "www.", no fragment, no tracking parameters,
+ * sorted query string and no trailing slash. Returns null for unparseable URLs.
+ */
+const canonicalizeUrl = (url) => {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return null;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+
+  return `https://${host}${pathname}${query ? `?${query}` : ""}`;
+};
+exports.canonicalizeUrl = canonicalizeUrl;
+
+const normalizeText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/<[^>]*>/g, " ") // Stray HTML from feeds
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const sha1 = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+/**
+ * Computes the dedup keys for an article:
+ * - content_fingerprint: exact title + body match, ignoring case/punctuation/whitespace.
+ *   Null without a body, so recurring title-only items ("Morning Briefing") are only
+ *   matched on their title within the near-duplicate window.
+ * - title_fingerprint: the title's significant words regardless of order, for
+ *   near-duplicates such as the same wire story re-headlined by another outlet
+ */
+const fingerprints = (article) => {
+  const title = normalizeText(article.title);
+  const body = normalizeText(article.content || article.description).slice(0, 1000);
+  const titleWords = [...new Set(title.split(" ").filter((w) => w && !STOPWORDS.has(w)))].sort();
+
+  return {
+    content_fingerprint: body ? sha1(`${title}|${body}`) : null,
+    title_fingerprint: titleWords.length >= 3 ? sha1(titleWords.join(" ")) : null,
+  };
+};
+exports.fingerprints = fingerprints;
+
+/**
+ * Finds which existing (or earlier) article a candidate duplicates, if any.
+ * URL and exact-content matches always count; title matches only within the window.
+ */
+const findDuplicate = (candidate, pool) =>
+  pool.find(
+    (other) =>
+      (candidate.url_canonical && other.url_canonical === candidate.url_canonical) ||
+      (candidate.content_fingerprint &&
+        other.content_fingerprint === candidate.content_fingerprint) ||
+      (candidate.title_fingerprint &&
+        other.title_fingerprint === candidate.title_fingerprint &&
+        Math.abs(new Date(other.publishedAt) - new Date(candidate.publishedAt)) <=
+          NEAR_DUPLICATE_WINDOW_MS)
+  );
+
+/**
+ * Writes a batch of prepared articles into news_raw, merging duplicates instead of
+ * inserting them again. Articles repeated within the batch, and exact re-uploads of a
+ * stored article (same canonical URL and content), are skipped; other articles
+ * matching one already stored are merged into it (new fields win, but the stored URL
+ * is kept and the incoming one is remembered in alternate_urls); everything else is
+ * inserted.
+ * @param {object[]} articles - Articles already shaped for news_raw.
+ * @returns {Promise<{ new: number, merged: number, skipped: number, insertedIds: object[], mergedIds: object[] }>}
+ */
+exports.upsertArticles = async (articles) => {
+  await exports.ensureNewsIndexes();
+  const NewsModel = getModel("news_raw");
+
+  // 1. Canonicalise and fingerprint, dropping repeats inside the batch itself.
+  const unique = [];
+  let skipped = 0;
+  for (const article of articles) {
+    const prepared = {
+      ...article,
+      url_canonical: canonicalizeUrl(article.url),
+      ...fingerprints(article),
+    };
+    if (findDuplicate(prepared, unique)) skipped += 1;
+    else unique.push(prepared);
+  }
+
+  // 2. Look up everything already stored that could match.
+  const keys = (field) => unique.map((a) => a[field]).filter(Boolean);
+  const existing = await NewsModel.find(
+    {
+      $or: [
+        { url_canonical: { $in: keys("url_canonical") } },
+        { content_fingerprint: { $in: keys("content_fingerprint") } },
+        { title_fingerprint: { $in: keys("title_fingerprint") } },
+      ],
+    },
+    { url: 1, url_canonical: 1, content_fingerprint: 1, title_fingerprint: 1, publishedAt: 1 }
+  ).lean();
+
+  // 3. Merge or insert.
+  const toInsert = [];
+  const merges = [];
+  for (const article of unique) {
+    const match = findDuplicate(article, existing);
+    if (!match) {
+      toInsert.push(article);
+      continue;
+    }
+    if (
+      article.content_fingerprint &&
+      match.url_canonical === article.url_canonical &&
+      match.content_fingerprint === article.content_fingerprint
+    ) {
+      skipped += 1; // Nothing new in an exact re-upload
+      continue;
+    }
+    const { _id, fetched_at, url, ...fields } = article;
+    const isAlternateUrl = url && url !== match.url;
+    merges.push({
+      updateOne: {
+        filter: { _id: match._id },
+        update: {
+          $set: {
+            ...fields,
+            // Keep the stored URL and keys so later uploads still match this document
+            url: match.url || url,
+            url_canonical: match.url_canonical || fields.url_canonical,
+            content_fingerprint: match.content_fingerprint || fields.content_fingerprint,
+            title_fingerprint: match.title_fingerprint || fields.title_fingerprint,
+            merged_at: new Date(),
+          },
+          ...(isAlternateUrl && match.url ? { $addToSet: { alternate_urls: url } } : {}),
+        },
+      },
+    });
+  }
+
+  const inserted = toInsert.length > 0 ? await NewsModel.insertMany(toInsert) : [];
+  if (merges.length > 0) await NewsModel.bulkWrite(merges, { ordered: false });
+
+  return {
+    new: inserted.length,
+    merged: merges.length,
+    skipped,
+    insertedIds: inserted.map((doc) => doc._id),
+    mergedIds: merges.map((op) => op.updateOne.filter._id),
+  };
+};
+
+/**
+ * Adds url_canonical and the fingerprints to news_raw articles stored before
+ * deduplication existed, so re-uploading an old batch merges instead of duplicating.
+ * Only touches articles without a content_fingerprint field, so it is cheap to run
+ * on every startup.
+ * @returns {Promise<number>} How many articles were updated.
+ */
+exports.backfillDedupKeys = async () => {
+  await exports.ensureNewsIndexes();
+  const NewsModel = getModel("news_raw");
+  const cursor = NewsModel.find(
+    { content_fingerprint: { $exists: false } },
+    { url: 1, title: 1, description: 1, content: 1 }
+  )
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await NewsModel.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const article of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: {
+          $set: { url_canonical: canonicalizeUrl(article.url), ...fingerprints(article) },
+        },
+      },
+    });
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  if (updated > 0) {
+    console.log(`[NEWS] Backfilled dedup keys on ${updated} existing articles.`);
+  }
+  return updated;
+};
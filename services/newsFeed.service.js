@@ -0,0 +1,129 @@
+const NewsFeed = require("../models/newsFeed.model");
+const { parseFeed } = require("../utils/feedParser");
+const { fetchPublic } = require("../utils/publicUrl");
+const { upsertArticles } = require("./news.service");
+const { withSentiment } = require("./sentiment.service");
+const { ensureLexicon } = require("./sentimentLexicon.service");
+const { withTags, ensureDictionaries } = require("./newsTagging.service");
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+
+// How many recent item ids the cursor remembers; comfortably more than a feed lists.
+const CURSOR_IDS = 500;
+
+/**
+ * Downloads a feed document. Feed URLs are user-supplied, so only public http(s)
+ * hosts are fetched (see utils/publicUrl).
+ */
+const fetchFeedXml = async (url) => {
+  const response = await fetchPublic(url, {
+    headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Feed responded with HTTP ${response.status}.`);
+  }
+  return response.text();
+};
+
+// Items with no guid, id or link can't be tracked across polls, so they are ignored.
+const isUnseen = (item, cursor) => {
+  if (!item.id || cursor.item_ids.includes(item.id)) return false;
+  if (item.publishedAt && cursor.published_at && item.publishedAt < cursor.published_at) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Maps a parsed feed item onto the news_raw shape used by manual uploads.
+ */
+const toArticle = (item, feed, feedTitle) => ({
+  title: item.title,
+  description: item.description,
+  url: item.url,
+  publishedAt: item.publishedAt || new Date(),
+  source: { name: feed.source || feedTitle || feed.name },
+  provider: "rss",
+  feed: feed.name,
+  feed_item_id: item.id,
+  fetched_at: new Date(),
+});
+
+/**
+ * Fetches a registered feed and ingests the items it hasn't seen before.
+ * The cursor only moves forward when the articles were written, so a failed
+ * poll is simply retried next time.
+ * @param {object} feed - A news_feeds document.
+ * @returns {Promise<object>} Counts for the poll and the updated cursor.
+ */
+exports.pollFeed = async (feed) => {
+  let parsed;
+  try {
+    parsed = parseFeed(await fetchFeedXml(feed.url));
+  } catch (error) {
+    await NewsFeed.updateOne(
+      { _id: feed._id },
+      { $set: { last_polled_at: new Date(), last_status: "failed", last_error: error.message } }
+    );
+    error.status = 502;
+    throw error;
+  }
+
+  const cursor = {
+    published_at: feed.cursor ? feed.cursor.published_at : null,
+    item_ids: feed.cursor ? feed.cursor.item_ids : [],
+  };
+  const unseen = parsed.items.filter((item) => isUnseen(item, cursor));
+  // Items with neither a title nor a description can't be scored or tagged.
+  const usable = unseen.filter((item) => item.title || item.description);
+
+  let result = { new: 0, merged: 0, skipped: 0 };
+  if (usable.length > 0) {
+    await Promise.all([ensureLexicon(), ensureDictionaries()]);
+    result = await upsertArticles(
+      usable.map((item) => withTags(withSentiment(toArticle(item, feed, parsed.title))))
+    );
+  }
+
+  const dates = parsed.items.map((item) => item.publishedAt).filter(Boolean);
+  const newest = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+  const nextCursor = {
+    published_at:
+      newest && (!cursor.published_at || newest > cursor.published_at)
+        ? newest
+        : cursor.published_at,
+    item_ids: [
+      ...new Set([...unseen.map((item) => item.id), ...cursor.item_ids]),
+    ].slice(0, CURSOR_IDS),
+  };
+
+  await NewsFeed.updateOne(
+    { _id: feed._id },
+    {
+      $set: {
+        cursor: nextCursor,
+        last_polled_at: new Date(),
+        last_status: "ok",
+        last_error: null,
+      },
+    }
+  );
+
+  return {
+    feed: feed.name,
+    format: parsed.format,
+    items_in_feed: parsed.items.length,
+    items_unseen: unseen.length,
+    items_unusable: unseen.length - usable.length,
+    new: result.new,
+    merged: result.merged,
+    skipped: result.skipped,
+    cursor: nextCursor,
+  };
+};
+
+exports.findFeed = (name) =>
+  NewsFeed.findOne({ name: String(name).toLowerCase() });
+
+exports.listFeeds = (filter = {}) => NewsFeed.find(filter).sort({ name: 1 }).lean();
@@ -0,0 +1,398 @@
+const crypto = require("crypto");
+const getModel = require("../models/flexibleData.model");
+const { createJobQueue } = require("./jobQueue.service");
+const { listSeries } = require("./macro.service");
+const { buildNewsFilter, ensureNewsIndexes, pickJobFilters } = require("./news.service");
+
+// Bump when the matching rules change; dictionary changes alter the hash part.
+const TAGGING_METHOD = "keyword-tags.v2";
+
+// GES and GDP data only change when ETL reloads them, so a stale copy is fine for a while.
+const REFRESH_MS = 10 * 60 * 1000;
+
+const BATCH_SIZE = 500;
+
+const TAG_TYPES = ["universities", "schools", "degrees", "industries", "occupations"];
+
+const tagQueue = createJobQueue("news_tag_jobs");
+
+// GDP series that are totals or accounting lines rather than an industry.
+const AGGREGATE_SERIES = /^(gdp|gross value added|add:|less:)|producing industries|ownership of dwellings|taxes|subsidies/i;
+
+// Words news uses for each GDP industry. Each entry applies to every series whose
+// name matches `pattern`, so the tags stay keyed on the series names ETL loaded.
+const INDUSTRY_KEYWORDS = [
+  {
+    pattern: /manufactur/i,
+    keywords: ["manufacturing", "manufacturer", "factory", "factories", "semiconductor",
+      "electronics", "pharmaceutical", "precision engineering", "chemicals", "wafer fab"],
+  },
+  {
+    pattern: /construction/i,
+    keywords: ["construction", "contractor", "builder", "infrastructure project", "built environment"],
+  },
+  {
+    pattern: /utilities/i,
+    keywords: ["utilities", "electricity", "power plant", "power grid", "water supply", "gas supply"],
+  },
+  {
+    pattern: /wholesale|retail/i,
+    keywords: ["retail", "retailer", "wholesale", "wholesaler", "e-commerce", "consumer spending"],
+  },
+  {
+    pattern: /transport|storage/i,
+    keywords: ["transport", "logistics", "shipping", "port", "aviation", "airline", "airport",
+      "maritime", "freight", "supply chain"],
+  },
+  {
+    pattern: /accommodation|food/i,
+    keywords: ["hotel", "hospitality", "tourism", "tourist", "restaurant", "F&B", "food services"],
+  },
+  {
+    pattern: /information|communication/i,
+    keywords: ["tech", "technology", "tech sector", "software", "IT", "ICT", "telco",
+      "telecommunications", "cybersecurity", "artificial intelligence", "AI", "data centre",
+      "data center", "startup", "fintech", "computer science", "information systems", "media"],
+  },
+  {
+    pattern: /finance|insurance/i,
+    keywords: ["bank", "banking", "finance", "financial services", "insurance", "insurer",
+      "fintech", "asset management", "wealth management", "accountancy", "accounting"],
+  },
+  {
+    pattern: /real estate/i,
+    keywords: ["real estate", "property market", "property developer", "housing market"],
+  },
+  {
+    pattern: /professional services/i,
+    keywords: ["consulting", "consultancy", "law firm", "legal services", "audit firm",
+      "architecture firm", "engineering services"],
+  },
+  {
+    pattern: /administrative|support services/i,
+    keywords: ["outsourcing", "facilities management", "security services", "cleaning services",
+      "recruitment", "staffing agency"],
+  },
+  {
+    pattern: /other services/i,
+    keywords: ["healthcare", "hospital", "nursing", "education", "public sector", "civil service",
+      "social services", "arts and culture"],
+  },
+];
+
+// Occupations there is no upstream dataset for, so they are maintained here.
+const OCCUPATIONS = {
+  "software engineer": ["software engineer", "software developer", "programmer"],
+  "data scientist": ["data scientist", "data analyst", "data engineer"],
+  "cybersecurity specialist": ["cybersecurity specialist", "security analyst"],
+  engineer: ["engineer"],
+  nurse: ["nurse"],
+  doctor: ["doctor", "physician", "surgeon"],
+  pharmacist: ["pharmacist"],
+  teacher: ["teacher", "educator", "lecturer"],
+  accountant: ["accountant", "auditor"],
+  "financial analyst": ["financial analyst", "banker", "investment analyst"],
+  lawyer: ["lawyer", "legal counsel", "solicitor"],
+  architect: ["architect"],
+  designer: ["designer"],
+  "sales and marketing": ["salesperson", "sales executive", "marketer", "marketing executive"],
+  researcher: ["researcher", "research scientist"],
+  "civil servant": ["civil servant", "public servant"],
+};
+
+// Degree fields too broad to mean anything when they show up in a headline.
+const GENERIC_FIELDS = new Set([
+  "arts", "art", "science", "sciences", "social sciences", "engineering", "business",
+  "business administration", "computing", "technology", "management", "studies", "laws",
+  "design", "arts and social sciences", "applied science", "media", "communication",
+  "communications", "education", "security", "systems", "commerce", "health", "food",
+  "land", "project",
+]);
+
+// Words left over from qualifiers that are never a field of study on their own.
+const FIELD_STOPWORDS = new Set(["above", "with", "and", "the", "of", "in", "major", "minor"]);
+
+// GES qualifiers that describe how a degree was awarded or run rather than what it
+// covers: honours, Latin honours, programme length and "(with Education)" add-ons.
+const QUALIFIERS = [
+  /\((?:hons|honours)\)/gi,
+  /\bwith\s+honours\b/gi,
+  /\(?\s*\b(?:summa\s+|magna\s+)?cum\s+laude(?:\s+and\s+above)?\s*\)?/gi,
+  /\([^)]*\bprogrammes?\s*\)/gi,
+  /\(\s*(?:with|and)\s+[^)]*\)/gi,
+];
+
+const ACRONYM_STOPWORDS = new Set(["of", "and", "the", "for", "&"]);
+
+// Three or more all-caps words in a row are a shouted headline ("IT IS A TOUGH
+// YEAR"), not abbreviations, so acronyms aren't looked for inside them.
+const SHOUTED_RUN = /\b[A-Z][A-Z'\u2019]*(?:\s+[A-Z][A-Z'\u2019]*\b){2,}/g;
+
+let state = { version: null, matchers: [], loadedAt: 0 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Short all-caps keywords ("NUS", "IT", "AI") only match in capitals; everything
+// else matches case-insensitively with an optional plural "s".
+const isAcronym = (keyword) => /^[A-Z&]{2,6}$/.test(keyword);
+
+// An acronym must not run into an apostrophe, so "IT'S" isn't "IT".
+const keywordRegex = (keywords) => {
+  const acronyms = keywords.filter(isAcronym);
+  const words = keywords.filter((k) => !isAcronym(k));
+  const pattern = (list) =>
+    list.map((k) => escapeRegex(k).replace(/\s+/g, "\\s+")).join("|");
+  return {
+    words: words.length ? new RegExp(`\\b(?:${pattern(words)})s?\\b`, "i") : null,
+    acronyms: acronyms.length
+      ? new RegExp(
+          `(?<![\\w&'\u2019])(?:${pattern(acronyms)})(?![\\w&'\u2019])`
+        )
+      : null,
+  };
+};
+
+// Strips GES footnote markers (^, *, #), stray encoding characters and
+// qualifiers (see QUALIFIERS) from a name.
+const cleanName = (name) =>
+  QUALIFIERS.reduce((text, qualifier) => text.replace(qualifier, " "), String(name))
+    .replace(/[\^*#\uFFFD]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// "Chemical and Biomolecular Engineering" names two fields, so a lone adjective
+// borrows the head noun of the next multi-word part: ["chemical engineering",
+// "biomolecular engineering"].
+const distributeHead = (parts) =>
+  parts.map((part, i) => {
+    if (part.includes(" ") || !/(?:al|ic|ive)$/.test(part)) return part;
+    const next = parts.slice(i + 1).find((later) => later.includes(" "));
+    return next ? `${part} ${next.split(" ").pop()}` : part;
+  });
+
+/**
+ * The fields of study a GES degree name refers to, e.g.
+ * "Bachelor of Computing (Computer Science)" -> ["computer science"],
+ * "Accountancy and Business" -> ["accountancy"],
+ * "Bachelor of Medicine and Bachelor of Surgery" -> ["medicine", "surgery"].
+ * Qualifiers, stopwords and fields too generic to identify a degree are dropped,
+ * so "Arts (with Education)" and "Accountancy Cum Laude and above" give no
+ * stray "with education" or "above".
+ */
+const degreeFields = (degree) => {
+  let name = cleanName(degree);
+  const specialisation = name.match(/\(([^)]+)\)/);
+  if (specialisation) name = specialisation[1].replace(/^major\s+in\s+/i, "");
+  else name = name.replace(/^bachelor\s+(?:of|in)\s+(?:[\w ]+?\s+in\s+)?/i, "");
+
+  return name
+    .split(/,|\//)
+    .flatMap((group) =>
+      distributeHead(
+        group
+          .split(/\s+(?:and|&|in)\s+/i)
+          .map((part) =>
+            part.replace(/^bachelor\s+(?:of|in)\s+/i, "").replace(/\s+/g, " ").trim().toLowerCase()
+          )
+          .filter(Boolean)
+      )
+    )
+    .filter(
+      (part) =>
+        part.length > 2 &&
+        !/\d/.test(part) &&
+        !GENERIC_FIELDS.has(part) &&
+        !FIELD_STOPWORDS.has(part)
+    );
+};
+exports.degreeFields = degreeFields;
+
+// "Singapore University of Technology and Design" -> "SUTD"
+const acronymOf = (name) =>
+  cleanName(name)
+    .split(" ")
+    .filter((word) => !ACRONYM_STOPWORDS.has(word.toLowerCase()))
+    .map((word) => word[0].toUpperCase())
+    .join("");
+
+/**
+ * Builds the keyword dictionaries from GES degree combinations and GDP industry series.
+ * @returns {Promise<object>} { universities, schools, degrees, industries, occupations },
+ *   each mapping a tag value to the keywords that imply it.
+ */
+const buildDictionaries = async () => {
+  const GESModel = getModel("ges_raw");
+  const [combos, series] = await Promise.all([
+    GESModel.aggregate([
+      { $group: { _id: { university: "$university", school: "$school", degree: "$degree" } } },
+    ]),
+    listSeries("gdpindustryquarterly"),
+  ]);
+
+  const universities = {};
+  const schools = {};
+  const degrees = {};
+  for (const { _id } of combos) {
+    const { university, school, degree } = _id;
+    if (university && !universities[university]) {
+      const acronym = acronymOf(university);
+      universities[university] = [cleanName(university), ...(acronym.length > 1 ? [acronym] : [])];
+    }
+    // School names are only distinctive in full ("Yong Loo Lin School of Medicine").
+    if (school && !schools[school]) schools[school] = [cleanName(school)];
+    if (degree && !degrees[degree]) {
+      const fields = degreeFields(degree);
+      if (fields.length > 0) degrees[degree] = fields;
+    }
+  }
+
+  const industries = {};
+  for (const name of series) {
+    if (AGGREGATE_SERIES.test(name)) continue;
+    const keywords = INDUSTRY_KEYWORDS.filter((entry) => entry.pattern.test(name)).flatMap(
+      (entry) => entry.keywords
+    );
+    industries[name] = [name.toLowerCase(), ...keywords];
+  }
+
+  return { universities, schools, degrees, industries, occupations: OCCUPATIONS };
+};
+
+const compile = (dictionaries) => {
+  const matchers = [];
+  for (const type of TAG_TYPES) {
+    for (const [value, keywords] of Object.entries(dictionaries[type])) {
+      matchers.push({ type, value, ...keywordRegex(keywords) });
+    }
+  }
+
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(TAG_TYPES.map((type) => Object.entries(dictionaries[type]).sort())))
+    .digest("hex")
+    .slice(0, 8);
+
+  state = { version: `${TAGGING_METHOD}@${hash}`, matchers, loadedAt: Date.now() };
+};
+
+/** Rebuilds the dictionaries from ges_raw and the GDP industry series. */
+exports.refreshDictionaries = async () => {
+  compile(await buildDictionaries());
+  console.log(`[TAGS] Loaded ${state.matchers.length} tag dictionaries (${state.version}).`);
+};
+
+/** Rebuilds the dictionaries if this process's copy is older than REFRESH_MS. */
+exports.ensureDictionaries = async () => {
+  if (Date.now() - state.loadedAt > REFRESH_MS) await exports.refreshDictionaries();
+};
+
+/** Identifies the matching rules and dictionary revision, e.g. "keyword-tags.v2@1a2b3c4d". */
+exports.getVersion = () => state.version;
+
+/**
+ * Tags a piece of text with every dictionary entry it mentions.
+ * @returns {{ universities: string[], schools: string[], degrees: string[],
+ *   industries: string[], occupations: string[] }}
+ */
+exports.tagText = (text) => {
+  const tags = Object.fromEntries(TAG_TYPES.map((type) => [type, []]));
+  if (!text) return tags;
+  const unshouted = text.replace(SHOUTED_RUN, " ");
+  for (const { type, value, words, acronyms } of state.matchers) {
+    if ((words && words.test(text)) || (acronyms && acronyms.test(unshouted))) {
+      tags[type].push(value);
+    }
+  }
+  return tags;
+};
+
+/**
+ * The GDP industries a GES degree feeds into, found by running the industry
+ * dictionary over the degree's fields of study and its school's name
+ * (e.g. "Bachelor of Computing (Information Systems)" -> Information & Communications).
+ * Callers should `await ensureDictionaries()` first.
+ */
+exports.industriesForDegree = (degree, school) =>
+  exports.tagText([...degreeFields(degree), cleanName(school || "")].join(". ")).industries;
+
+// Headline, summary and body, since a field may only be named further down.
+const taggableText = (article) =>
+  [article.title, article.description, article.content].filter(Boolean).join(". ");
+
+/**
+ * The fields written onto a news_raw document for its tags.
+ * Callers should `await ensureDictionaries()` first.
+ */
+exports.tagFields = (article) => ({
+  tags: exports.tagText(taggableText(article)),
+  tags_version: exports.getVersion(),
+  tagged_at: new Date(),
+});
+
+/** Returns a copy of the article with tag fields added. */
+exports.withTags = (article) => ({ ...article, ...exports.tagFields(article) });
+
+/**
+ * Queues a background re-tag of existing articles, e.g. after new GES or GDP data loads.
+ * @param {object} requested - Any GET /api/news filter, plus `outdated_only` to restrict
+ *   the run to articles not yet tagged with the current dictionaries.
+ * @returns {Promise<object>} The queued news_tag_jobs document.
+ */
+exports.enqueueRetag = async (requested = {}) => {
+  const filters = pickJobFilters(requested);
+
+  // Build the filter up front so bad input is rejected before a job is created.
+  await exports.ensureDictionaries();
+  const version = exports.getVersion();
+  const newsFilter = buildNewsFilter(filters);
+  const filter = filters.outdated_only
+    ? { $and: [newsFilter, { tags_version: { $ne: version } }] }
+    : newsFilter;
+
+  return tagQueue.enqueue(
+    {
+      type: "retag",
+      filters,
+      tags_version: version,
+      articles_total: null,
+      articles_processed: 0,
+    },
+    async (progress) => {
+      await Promise.all([ensureNewsIndexes(), exports.ensureDictionaries()]);
+      const NewsModel = getModel("news_raw");
+      const total = await NewsModel.countDocuments(filter);
+      await progress.report({ articles_total: total });
+
+      const cursor = NewsModel.find(filter, { title: 1, description: 1, content: 1 })
+        .lean()
+        .cursor();
+      let operations = [];
+      let processed = 0;
+
+      const flush = async () => {
+        if (operations.length === 0) return;
+        await NewsModel.bulkWrite(operations, { ordered: false });
+        processed += operations.length;
+        operations = [];
+        await progress.report({ articles_processed: processed });
+      };
+
+      for await (const article of cursor) {
+        operations.push({
+          updateOne: {
+            filter: { _id: article._id },
+            update: { $set: exports.tagFields(article) },
+          },
+        });
+        if (operations.length >= BATCH_SIZE) await flush();
+      }
+      await flush();
+
+      return { articles_processed: processed };
+    }
+  );
+};
+
+exports.getRetagJob = (id) => tagQueue.getJob(id);
+
+exports.markInterruptedRetags = () => tagQueue.markInterrupted();
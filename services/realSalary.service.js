@@ -0,0 +1,219 @@
+const getModel = require("../models/flexibleData.model");
+
+// Turns nominal GES salaries into real ones: value x CPI(base year) / CPI(year).
+// CPI is the annual average of the monthly "All Items" index in cpi_monthly; a year
+// only counts once all twelve months are in.
+
+const CPI_COLLECTION = "cpi_monthly";
+const CPI_SERIES = "All Items";
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// GES fields in dollars; employment rates are left alone.
+const SALARY_FIELDS = [
+  "basic_monthly_mean",
+  "basic_monthly_median",
+  "gross_monthly_mean",
+  "gross_monthly_median",
+  "gross_mthly_25_percentile",
+  "gross_mthly_75_percentile",
+];
+exports.SALARY_FIELDS = SALARY_FIELDS;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Reads ?real=true&baseYear=2024 from a query string (or a request body).
+ * @returns {{ baseYear: number|null }|null} null when real values weren't asked for.
+ * @throws {Error} 400 on a malformed baseYear.
+ */
+exports.parseRealOptions = ({ real, baseYear } = {}) => {
+  if (!(real === true || real === "true")) return null;
+  if (baseYear === undefined || baseYear === "") return { baseYear: null };
+  if (!/^\d{4}$/.test(String(baseYear))) {
+    throw badRequest("baseYear must be a four-digit year.");
+  }
+  return { baseYear: parseInt(baseYear, 10) };
+};
+
+/**
+ * Annual average CPI for every complete year.
+ * @returns {Promise<object>} { year: index }
+ */
+const loadAnnualCpi = async () => {
+  const record = await getModel(CPI_COLLECTION).findOne({ DataSeries: CPI_SERIES }).lean();
+  if (!record) {
+    throw new Error("CPI data is missing. Load the cpi dataset first.");
+  }
+
+  const years = new Set(
+    Object.keys(record)
+      .filter((key) => /^\d{4}[A-Z][a-z]{2}$/.test(key))
+      .map((key) => key.substring(0, 4))
+  );
+  const annual = {};
+  for (const year of years) {
+    const values = MONTHS.map((month) => parseFloat(record[`${year}${month}`]));
+    if (values.every((v) => !isNaN(v))) {
+      annual[year] = values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+  }
+  return annual;
+};
+
+/**
+ * Builds the deflator for a base year.
+ * @param {object} options
+ * @param {number|null} options.baseYear - Defaults to the latest complete CPI year.
+ * @param {object} [options.projectedInflation] - { year: yoy rate } used to extend CPI
+ *   past the last complete year, e.g. a forecast's macroeconomic_trends.yoy_inflation_rate.
+ * @returns {Promise<object>} { base_year, base_cpi, cpi: { year: index }, projected_years }
+ * @throws {Error} 400 when the base year has no complete CPI year.
+ */
+exports.getDeflator = async ({ baseYear, projectedInflation } = {}) => {
+  const cpi = await loadAnnualCpi();
+  const actualYears = Object.keys(cpi).map(Number).sort((a, b) => a - b);
+  if (actualYears.length === 0) {
+    throw new Error("CPI data has no complete year to deflate with.");
+  }
+  const lastActualYear = actualYears[actualYears.length - 1];
+
+  const projectedYears = [];
+  if (projectedInflation) {
+    const futureYears = Object.keys(projectedInflation)
+      .filter((key) => /^\d{4}$/.test(key) && Number(key) > lastActualYear)
+      .map(Number)
+      .sort((a, b) => a - b);
+    for (const year of futureYears) {
+      const rate = parseFloat(projectedInflation[year]);
+      if (cpi[year - 1] === undefined || isNaN(rate)) break;
+      cpi[year] = cpi[year - 1] * (1 + rate);
+      projectedYears.push(year);
+    }
+  }
+
+  const base = baseYear === null || baseYear === undefined ? lastActualYear : baseYear;
+  if (cpi[base] === undefined || projectedYears.includes(base)) {
+    throw badRequest(
+      `No complete CPI year for baseYear ${base}. CPI covers ${actualYears[0]}-${lastActualYear}.`
+    );
+  }
+
+  return { base_year: base, base_cpi: cpi[base], cpi, projected_years: projectedYears };
+};
+
+/**
+ * The multiplier that turns a nominal value from `year` into base-year dollars,
+ * or null when that year has no CPI.
+ */
+const factorFor = (deflator, year) => {
+  const index = deflator.cpi[parseInt(year, 10)];
+  return index === undefined ? null : deflator.base_cpi / index;
+};
+
+const deflateValue = (value, factor) => {
+  if (value === null || value === undefined || value === "") return value;
+  const number = parseFloat(value);
+  if (isNaN(number)) return value;
+  return factor === null ? null : Math.round(number * factor);
+};
+
+/**
+ * Deflates the salary fields of a GES record in place of the nominal ones.
+ * Records from a year without CPI get null salaries, so nominal values are never
+ * passed off as real ones.
+ */
+exports.deflateRecord = (record, deflator) => {
+  const factor = factorFor(deflator, record.year);
+  const real = { ...record };
+  for (const field of SALARY_FIELDS) {
+    if (field in real) real[field] = deflateValue(real[field], factor);
+  }
+  return real;
+};
+
+// Deflates { year, <valueField>, prediction_intervals? } forecast points.
+const deflatePoints = (points, deflator, valueFields) =>
+  (points || []).map((point) => {
+    const factor = factorFor(deflator, point.year);
+    const real = { ...point };
+    for (const field of valueFields) {
+      if (field in real) real[field] = deflateValue(real[field], factor);
+    }
+    if (point.prediction_intervals) {
+      real.prediction_intervals = Object.fromEntries(
+        Object.entries(point.prediction_intervals).map(([level, { lower, upper }]) => [
+          level,
+          { lower: deflateValue(lower, factor), upper: deflateValue(upper, factor) },
+        ])
+      );
+    }
+    return real;
+  });
+
+/**
+ * Deflates the salary values of a stored forecast run: the headline forecast and
+ * history, salary metrics and scenarios. Scenarios use the baseline's projected CPI.
+ */
+exports.deflateForecast = (run, deflator) => ({
+  ...run,
+  forecast: deflatePoints(run.forecast, deflator, ["predicted_median_salary"]),
+  historical_data: deflatePoints(run.historical_data, deflator, [
+    "median_salary",
+    "model_prediction",
+  ]),
+  metrics: (run.metrics || []).map((entry) =>
+    SALARY_FIELDS.includes(entry.metric)
+      ? {
+          ...entry,
+          forecast: deflatePoints(entry.forecast, deflator, ["predicted_value"]),
+          historical: deflatePoints(entry.historical, deflator, ["actual", "model_prediction"]),
+          ...(entry.scenarios
+            ? {
+                scenarios: entry.scenarios.map((s) => ({
+                  ...s,
+                  forecast: deflatePoints(s.forecast, deflator, ["predicted_value"]),
+                })),
+              }
+            : {}),
+        }
+      : entry
+  ),
+  ...(run.scenarios
+    ? {
+        scenarios: run.scenarios.map((s) => ({
+          ...s,
+          forecast: deflatePoints(s.forecast, deflator, ["predicted_median_salary"]),
+        })),
+      }
+    : {}),
+});
+
+/**
+ * The part of the deflator a response used: the CPI and factor for each year.
+ * @param {object} deflator - From getDeflator.
+ * @param {Array<number|string>} years - Years present in the response.
+ */
+exports.describeDeflator = (deflator, years) => {
+  const used = [...new Set(years.map((year) => parseInt(year, 10)))]
+    .filter((year) => !isNaN(year))
+    .sort((a, b) => a - b);
+  return {
+    base_year: deflator.base_year,
+    price_index: `CPI (${CPI_SERIES}), annual average of monthly values`,
+    formula: "real = nominal x CPI(base_year) / CPI(year)",
+    years: used.map((year) => {
+      const factor = factorFor(deflator, year);
+      return {
+        year,
+        cpi: factor === null ? null : deflator.cpi[year],
+        factor,
+        projected: deflator.projected_years.includes(year),
+      };
+    }),
+    missing_years: used.filter((year) => factorFor(deflator, year) === null),
+  };
+};
@@ -0,0 +1,112 @@
+const getModel = require("../models/flexibleData.model");
+const { fetchAllRecords } = require("./etl.service");
+
+// data.gov.sg "General information of schools" resource, also registered as "schoolinfo"
+const SCHOOLS_RESOURCE_ID = "d_688b934f82c1059ed0a6993d2a829089";
+exports.SCHOOLS_RESOURCE_ID = SCHOOLS_RESOURCE_ID;
+
+// How long upstream results are reused when school_info hasn't been loaded yet.
+const CACHE_TTL_MS =
+  parseInt(process.env.SCHOOLS_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+
+let cache = { records: null, fetchedAt: 0 };
+// The upstream fetch in flight, shared by every request that misses the cache meanwhile.
+let pending = null;
+
+// Escapes user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const matchesFilters = (school, { q, zone, level }) => {
+  if (q && !new RegExp(escapeRegex(q), "i").test(school.school_name || "")) {
+    return false;
+  }
+  if (zone && String(school.zone_code || "").toUpperCase() !== zone) return false;
+  if (level && String(school.mainlevel_code || "").toUpperCase() !== level) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Returns all schools from data.gov.sg, reusing the in-memory copy until it expires.
+ * Concurrent misses wait on the same upstream call instead of each making one.
+ */
+const getCachedSchools = async () => {
+  if (cache.records && Date.now() - cache.fetchedAt < CACHE_TTL_MS) {
+    return cache.records;
+  }
+  if (!pending) {
+    pending = fetchAllRecords({ resource_id: SCHOOLS_RESOURCE_ID })
+      .then(({ records }) => {
+        cache = { records, fetchedAt: Date.now() };
+        console.log(`[SCHOOLS] Cached ${records.length} schools from data.gov.sg.`);
+        return records;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+};
+
+// Query parameters arrive as arrays when repeated (?q=a&q=b); only single values make sense.
+const singleValue = (value, name) => {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string") {
+    const error = new Error(`'${name}' must be a single value.`);
+    error.status = 400;
+    throw error;
+  }
+  return value.trim() || undefined;
+};
+
+/**
+ * Searches schools by name, zone and level with pagination.
+ * Serves from the school_info collection when it has been loaded by ETL,
+ * otherwise from a TTL cache of the upstream dataset.
+ * @param {object} filters
+ * @param {string} [filters.q] - Case-insensitive substring of the school name.
+ * @param {string} [filters.zone] - zone_code, e.g. "NORTH".
+ * @param {string} [filters.level] - mainlevel_code, e.g. "PRIMARY".
+ * @param {number} page - 1-based page number.
+ * @param {number} limit - Page size.
+ * @returns {Promise<{ source: string, total: number, records: object[] }>}
+ * @throws {Error} status 400 when a filter is repeated.
+ */
+exports.searchSchools = async ({ q, zone, level }, page, limit) => {
+  const filters = {
+    q: singleValue(q, "q"),
+    zone: singleValue(zone, "zone"),
+    level: singleValue(level, "level"),
+  };
+  if (filters.zone) filters.zone = filters.zone.toUpperCase();
+  if (filters.level) filters.level = filters.level.toUpperCase();
+  const skip = (page - 1) * limit;
+
+  const SchoolModel = getModel("school_info");
+  const loaded = await SchoolModel.estimatedDocumentCount();
+
+  if (loaded > 0) {
+    const query = {};
+    if (filters.q) query.school_name = { $regex: escapeRegex(filters.q), $options: "i" };
+    if (filters.zone) query.zone_code = { $regex: `^${escapeRegex(filters.zone)}$`, $options: "i" };
+    if (filters.level) {
+      query.mainlevel_code = { $regex: `^${escapeRegex(filters.level)}$`, $options: "i" };
+    }
+
+    const [records, total] = await Promise.all([
+      SchoolModel.find(query).sort({ school_name: 1 }).skip(skip).limit(limit).lean(),
+      SchoolModel.countDocuments(query),
+    ]);
+    return { source: "database", total, records };
+  }
+
+  const matching = (await getCachedSchools())
+    .filter((school) => matchesFilters(school, filters))
+    .sort((a, b) => String(a.school_name).localeCompare(String(b.school_name)));
+  return {
+    source: "data.gov.sg",
+    total: matching.length,
+    records: matching.slice(skip, skip + limit),
+  };
+};
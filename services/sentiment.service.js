@@ -0,0 +1,238 @@
+const getModel = require("../models/flexibleData.model");
+const { createJobQueue } = require("./jobQueue.service");
+const { buildNewsFilter, ensureNewsIndexes, pickJobFilters } = require("./news.service");
+const { analyze, ensureLexicon, getVersion } = require("./sentimentLexicon.service");
+
+const BATCH_SIZE = 500;
+
+const reanalysisQueue = createJobQueue("sentiment_jobs");
+
+/**
+ * The text we score: title and description together, as the original
+ * per-article analysis did.
+ */
+const articleText = (article) =>
+  `${article.title || ""}. ${article.description || ""}`.replace(/^\.\s*$/, "").trim();
+exports.articleText = articleText;
+
+/**
+ * Scores an article with AFINN plus the labour-market lexicon overlay.
+ * Returns null when it has no title or description to analyse.
+ * Callers should `await ensureLexicon()` first so recent lexicon edits apply.
+ * @returns {{ text: string, result: object } | null}
+ */
+exports.scoreArticle = (article) => {
+  const text = articleText(article);
+  if (!text) return null;
+  return { text, result: analyze(text) };
+};
+
+/**
+ * The fields written onto a news_raw document for a sentiment result.
+ * sentiment_version identifies the scoring method and lexicon revision, so after
+ * a lexicon edit POST /api/sentiment/reanalyze with outdated_only catches up.
+ */
+exports.sentimentFields = (result) => ({
+  sentiment_score: result.score,
+  sentiment_comparative: result.comparative,
+  sentiment_analyzed_at: new Date(),
+  sentiment_version: getVersion(),
+  // The terms that moved the score most, for explaining it later
+  sentiment_drivers: result.drivers.slice(0, 10),
+});
+
+/**
+ * Returns a copy of the article with sentiment fields added (unchanged if it has no text).
+ */
+exports.withSentiment = (article) => {
+  const scored = exports.scoreArticle(article);
+  return scored ? { ...article, ...exports.sentimentFields(scored.result) } : article;
+};
+
+/**
+ * Queues a background re-score of existing articles.
+ * @param {object} requested - Any GET /api/news filter (q, from, to, source, provider,
+ *   sentiment, degree, industry, university, occupation), plus `outdated_only` to restrict the run to articles
+ *   not yet scored with the current method and lexicon revision.
+ * @returns {Promise<object>} The queued sentiment_jobs document.
+ */
+exports.enqueueReanalysis = async (requested = {}) => {
+  const filters = pickJobFilters(requested);
+
+  // Build the filter up front so bad input is rejected before a job is created.
+  await ensureLexicon();
+  const version = getVersion();
+  const newsFilter = buildNewsFilter(filters);
+  const filter = filters.outdated_only
+    ? { $and: [newsFilter, { sentiment_version: { $ne: version } }] }
+    : newsFilter;
+
+  return reanalysisQueue.enqueue(
+    {
+      type: "reanalyze",
+      filters,
+      sentiment_version: version,
+      articles_total: null,
+      articles_processed: 0,
+      articles_skipped: 0,
+    },
+    async (progress) => {
+      await Promise.all([ensureNewsIndexes(), ensureLexicon()]);
+      const NewsModel = getModel("news_raw");
+      const total = await NewsModel.countDocuments(filter);
+      await progress.report({ articles_total: total });
+
+      const cursor = NewsModel.find(filter, { title: 1, description: 1 })
+        .lean()
+        .cursor();
+      let operations = [];
+      let processed = 0;
+      let skipped = 0;
+
+      const flush = async () => {
+        if (operations.length === 0) return;
+        await NewsModel.bulkWrite(operations, { ordered: false });
+        processed += operations.length;
+        operations = [];
+        await progress.report({ articles_processed: processed, articles_skipped: skipped });
+      };
+
+      for await (const article of cursor) {
+        const scored = exports.scoreArticle(article);
+        if (!scored) {
+          skipped += 1;
+          continue;
+        }
+        operations.push({
+          updateOne: {
+            filter: { _id: article._id },
+            update: { $set: exports.sentimentFields(scored.result) },
+          },
+        });
+        if (operations.length >= BATCH_SIZE) await flush();
+      }
+      await flush();
+
+      return { articles_processed: processed, articles_skipped: skipped };
+    }
+  );
+};
+
+exports.getReanalysisJob = (id) => reanalysisQueue.getJob(id);
+
+exports.markInterruptedReanalyses = () => reanalysisQueue.markInterrupted();
+
+// --- Trends ---
+
+const TREND_INTERVALS = ["day", "week", "month"];
+exports.TREND_INTERVALS = TREND_INTERVALS;
+
+// Buckets are built in the request, so a mis-dated article (year 0001 or 2099) must
+// not be able to turn a day series into hundreds of thousands of them.
+const MAX_TREND_BUCKETS = 1000;
+const MAX_TREND_WINDOW = 52;
+
+// Advances a UTC bucket start by one interval (weeks start on Monday).
+const nextBucket = (date, interval) => {
+  const next = new Date(date.getTime());
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Number of buckets from first to last inclusive, both already truncated to the interval.
+const bucketCount = (first, last, interval) => {
+  if (interval === "month") {
+    return (
+      (last.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+      (last.getUTCMonth() - first.getUTCMonth()) +
+      1
+    );
+  }
+  const days = Math.round((last - first) / (24 * 60 * 60 * 1000));
+  return Math.floor(days / (interval === "week" ? 7 : 1)) + 1;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Aggregates scored articles into day/week/month buckets (UTC) by publishedAt.
+ * Empty buckets between the first and last article are included with a zero count,
+ * so the series can be charted directly. The rolling mean is article-weighted over
+ * the current bucket and the `window - 1` before it (window is capped at 52).
+ * @param {object} params - Any GET /api/news filter (q, from, to, source, provider,
+ *   degree, industry), plus interval and window.
+ * @throws {Error} 400 for an unknown interval, or when the articles span more than
+ *   1000 buckets (narrow it with from/to or use a longer interval).
+ */
+exports.getSentimentTrend = async ({ interval = "week", window = 4, ...filters }) => {
+  if (!TREND_INTERVALS.includes(interval)) {
+    const error = new Error(
+      `Invalid interval '${interval}'. Expected one of: ${TREND_INTERVALS.join(", ")}.`
+    );
+    error.status = 400;
+    throw error;
+  }
+  const windowSize = Math.min(MAX_TREND_WINDOW, Math.max(1, parseInt(window, 10) || 1));
+
+  await ensureNewsIndexes();
+  const NewsModel = getModel("news_raw");
+  const buckets = await NewsModel.aggregate([
+    { $match: buildNewsFilter(filters) },
+    { $match: { sentiment_comparative: { $type: "number" }, publishedAt: { $type: "date" } } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: "$publishedAt", unit: interval, startOfWeek: "monday" },
+        },
+        scores: { $push: "$sentiment_comparative" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  if (buckets.length === 0) return { interval, window: windowSize, data: [] };
+
+  const last = buckets[buckets.length - 1]._id;
+  if (bucketCount(buckets[0]._id, last, interval) > MAX_TREND_BUCKETS) {
+    const error = new Error(
+      `The articles span more than ${MAX_TREND_BUCKETS} ${interval} buckets. Narrow the range with from/to or use a longer interval.`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  const byStart = new Map(buckets.map((b) => [b._id.getTime(), b.scores]));
+  const data = [];
+  const recent = []; // { sum, count } of the last `windowSize` buckets
+  let windowSum = 0;
+  let windowCount = 0;
+
+  for (let start = buckets[0]._id; start <= last; start = nextBucket(start, interval)) {
+    const scores = byStart.get(start.getTime()) || [];
+    const sum = scores.reduce((s, v) => s + v, 0);
+    recent.push({ sum, count: scores.length });
+    windowSum += sum;
+    windowCount += scores.length;
+    if (recent.length > windowSize) {
+      const dropped = recent.shift();
+      windowSum -= dropped.sum;
+      windowCount -= dropped.count;
+    }
+
+    data.push({
+      period_start: start,
+      article_count: scores.length,
+      mean_comparative: scores.length ? sum / scores.length : null,
+      median_comparative: scores.length ? median(scores) : null,
+      rolling_mean_comparative: windowCount ? windowSum / windowCount : null,
+    });
+  }
+
+  return { interval, window: windowSize, data };
+};
@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const Sentiment = require("sentiment");
+const afinnLabels = require("sentiment/languages/en/labels.json");
+const afinnNegators = require("sentiment/languages/en/negators.json");
+const SentimentLexicon = require("../models/sentimentLexicon.model");
+
+const sentiment = new Sentiment();
+
+// Registered with the sentiment library as its own language so our overlay never
+// leaks into the stock English labels (`extras` mutates them in place).
+const LANGUAGE_CODE = "en-labour";
+
+// Bump when the scoring algorithm itself changes; lexicon edits change the hash part.
+const SCORING_METHOD = "labour-lexicon.v1";
+
+// How long a process trusts its copy of sentiment_lexicon before re-reading it.
+const REFRESH_MS = 60 * 1000;
+
+// Seeded into sentiment_lexicon when missing. Scores use the AFINN -5..5 scale.
+const DEFAULT_LABOUR_LEXICON = {
+  layoff: -3,
+  layoffs: -3,
+  "laid off": -3,
+  retrenchment: -3,
+  retrenchments: -3,
+  retrenched: -3,
+  "hiring freeze": -3,
+  "job cuts": -3,
+  "job losses": -3,
+  "headcount cuts": -3,
+  downsizing: -2,
+  redundancy: -2,
+  redundancies: -2,
+  "cost-cutting": -2,
+  offshoring: -2,
+  underemployment: -2,
+  slowdown: -2,
+  restructuring: -1,
+  hiring: 2,
+  "job creation": 3,
+  "new jobs": 2,
+  "high demand": 2,
+  "in demand": 2,
+  "wage growth": 2,
+  "pay rise": 2,
+  "salary increase": 2,
+  bonus: 1,
+  upskilling: 2,
+  reskilling: 2,
+  employability: 2,
+  expansion: 2,
+};
+
+// Negation words, and how many tokens back one still flips a term
+// ("no major layoffs", "not a hiring freeze").
+const NEGATORS = {
+  ...afinnNegators,
+  no: 1,
+  never: 1,
+  without: 1,
+  nor: 1,
+  neither: 1,
+  hardly: 1,
+  barely: 1,
+  avoid: 1,
+  avoids: 1,
+  avoided: 1,
+  avert: 1,
+  averted: 1,
+};
+const NEGATION_WINDOW = 3;
+
+// Multi-word terms are rewritten to one hyphenated token before scoring,
+// because the library's tokenizer splits on spaces but keeps hyphens.
+const phraseToken = (term) => term.split(" ").join("-");
+
+let state = { version: null, labels: {}, phrases: [], terms: new Map(), loadedAt: 0 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Rebuilds the scorer from a list of { term, score } overlay entries.
+ */
+const buildScorer = (entries) => {
+  const labels = { ...afinnLabels };
+  const phrases = [];
+  const terms = new Map(); // token -> term as written in the lexicon
+  for (const { term, score } of entries) {
+    labels[phraseToken(term)] = score;
+    terms.set(phraseToken(term), term);
+    if (term.includes(" ")) {
+      phrases.push({
+        term,
+        regex: new RegExp(`\\b${term.split(" ").map(escapeRegex).join("\\s+")}\\b`, "gi"),
+        token: phraseToken(term),
+      });
+    }
+  }
+  // Longest phrases first so "job cuts" can't pre-empt a longer overlapping phrase
+  phrases.sort((a, b) => b.term.length - a.term.length);
+
+  sentiment.registerLanguage(LANGUAGE_CODE, {
+    labels,
+    scoringStrategy: {
+      apply: (tokens, cursor, tokenScore) => {
+        for (let k = 1; k <= NEGATION_WINDOW && cursor - k >= 0; k++) {
+          if (NEGATORS[tokens[cursor - k]]) return -tokenScore;
+        }
+        return tokenScore;
+      },
+    },
+  });
+
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(entries.map((e) => [e.term, e.score]).sort()))
+    .digest("hex")
+    .slice(0, 8);
+
+  state = {
+    version: `${SCORING_METHOD}@${hash}`,
+    labels,
+    phrases,
+    terms,
+    loadedAt: Date.now(),
+  };
+};
+
+// Until the database copy is loaded, score with the built-in defaults.
+buildScorer(
+  Object.entries(DEFAULT_LABOUR_LEXICON).map(([term, score]) => ({ term, score }))
+);
+state.loadedAt = 0;
+
+/**
+ * Inserts any default term that isn't in sentiment_lexicon yet.
+ * Existing entries are left alone so edits made through the API survive restarts.
+ */
+exports.seedDefaultLexicon = async () => {
+  const result = await SentimentLexicon.bulkWrite(
+    Object.entries(DEFAULT_LABOUR_LEXICON).map(([term, score]) => ({
+      updateOne: {
+        filter: { term },
+        update: { $setOnInsert: { term, score, note: "default" } },
+        upsert: true,
+      },
+    }))
+  );
+  if (result.upsertedCount > 0) {
+    console.log(
+      `[LEXICON] Seeded ${result.upsertedCount} default terms into sentiment_lexicon.`
+    );
+  }
+};
+
+/** Reloads the overlay from sentiment_lexicon. */
+exports.refreshLexicon = async () => {
+  const entries = await SentimentLexicon.find({}, { term: 1, score: 1 }).lean();
+  buildScorer(entries);
+};
+
+/** Reloads the overlay if this process's copy is older than REFRESH_MS. */
+exports.ensureLexicon = async () => {
+  if (Date.now() - state.loadedAt > REFRESH_MS) await exports.refreshLexicon();
+};
+
+/** Identifies the scoring method and lexicon revision, e.g. "labour-lexicon.v1@1a2b3c4d". */
+exports.getVersion = () => state.version;
+
+/**
+ * Scores text with AFINN plus the labour-market overlay, with phrase and
+ * negation handling. `drivers` lists the terms that contributed, strongest first,
+ * with their base lexicon score and whether a negation flipped them.
+ */
+exports.analyze = (text) => {
+  let prepared = text;
+  for (const { regex, token } of state.phrases) {
+    prepared = prepared.replace(regex, token);
+  }
+
+  const result = sentiment.analyze(prepared, { language: LANGUAGE_CODE });
+  const drivers = result.calculation
+    .map((entry) => {
+      const [token, score] = Object.entries(entry)[0];
+      const base = state.labels[token];
+      return {
+        term: state.terms.get(token) || token,
+        score,
+        base_score: base,
+        negated: Math.sign(score) !== Math.sign(base),
+      };
+    })
+    .filter((driver) => driver.score !== 0)
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+  return { ...result, drivers };
+};
+
+// --- Admin helpers ---
+
+exports.listTerms = () => SentimentLexicon.find({}).sort({ term: 1 }).lean();
+
+exports.upsertTerm = async (term, score, note) => {
+  const entry = await SentimentLexicon.findOneAndUpdate(
+    { term: String(term).trim().toLowerCase() },
+    { $set: { score, ...(note !== undefined ? { note } : {}) } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  await exports.refreshLexicon();
+  return entry;
+};
+
+exports.deleteTerm = async (term) => {
+  const result = await SentimentLexicon.deleteOne({
+    term: String(term).trim().toLowerCase(),
+  });
+  await exports.refreshLexicon();
+  return result.deletedCount > 0;
+};
@@ -0,0 +1,59 @@
+jest.mock("../middleware/jwtauth", () => (req, res, next) => {
+  req.userId = "64b7f0c2a1b2c3d4e5f60718";
+  next();
+});
+jest.mock("../models/user.model", () => ({
+  findById: () => ({ select: () => ({ lean: async () => ({ role: "user" }) }) }),
+}));
+
+const http = require("http");
+const express = require("express");
+const apiRoutes = require("../routes/api.routes");
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", apiRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// A fresh connection per request, so the server can close cleanly afterwards.
+const request = (method, path, body) =>
+  new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : "";
+    const req = http.request(
+      `${baseUrl}${path}`,
+      {
+        method,
+        agent: false,
+        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) },
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => resolve(res));
+      }
+    );
+    req.on("error", reject);
+    req.end(payload);
+  });
+
+describe("admin-only routes", () => {
+  test.each([
+    ["PUT", "/sentiment/lexicon/retrenchment", { score: -3 }],
+    ["DELETE", "/sentiment/lexicon/retrenchment", null],
+    ["POST", "/etl/datasets", { name: "x", resource_id: "d_9cd9c40f22a4e45cac8f8b9d895fd5ce" }],
+    ["PATCH", "/etl/datasets/medianincome", { collectionName: "median_income_copy" }],
+    ["DELETE", "/etl/datasets/medianincome", null],
+  ])("%s %s rejects a non-admin with 403", async (method, path, body) => {
+    const response = await request(method, path, body);
+    expect(response.statusCode).toBe(403);
+  });
+});
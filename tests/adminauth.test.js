@@ -0,0 +1,34 @@
+jest.mock("../models/user.model", () => ({ findById: jest.fn() }));
+
+const User = require("../models/user.model");
+const adminauth = require("../middleware/adminauth");
+
+const ADMIN_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+const run = async (userId, role) => {
+  User.findById.mockReturnValue({
+    select: () => ({ lean: async () => (role ? { role } : null) }),
+  });
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await adminauth({ userId }, res, next);
+  return { res, next };
+};
+
+describe("adminauth", () => {
+  test("lets admins through", async () => {
+    const { res, next } = await run(ADMIN_ID, "admin");
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ["a regular user", ADMIN_ID, "user"],
+    ["a deleted user", ADMIN_ID, null],
+    ["a token without a valid user id", "not-an-id", "admin"],
+  ])("rejects %s with 403", async (_, userId, role) => {
+    const { res, next } = await run(userId, role);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
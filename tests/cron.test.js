@@ -0,0 +1,70 @@
+const { parseCron, nextRun } = require("../utils/cron");
+
+// Server-local times, like the scheduler uses.
+const local = (year, month, day, hour = 0, minute = 0) =>
+  new Date(year, month - 1, day, hour, minute);
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+describe("parseCron", () => {
+  test("expands steps", () => {
+    expect(sorted(parseCron("*/15 * * * *").minutes)).toEqual([0, 15, 30, 45]);
+    expect(sorted(parseCron("0 1-10/3 * * *").hours)).toEqual([1, 4, 7, 10]);
+    expect(sorted(parseCron("50/5 * * * *").minutes)).toEqual([50, 55]);
+  });
+
+  test("expands ranges and lists", () => {
+    const cron = parseCron("0 9 * 1,4,7,10 1-5");
+    expect(sorted(cron.months)).toEqual([1, 4, 7, 10]);
+    expect(sorted(cron.daysOfWeek)).toEqual([1, 2, 3, 4, 5]);
+    expect(sorted(parseCron("0,30 8-9,17 * * *").hours)).toEqual([8, 9, 17]);
+  });
+
+  test.each([
+    ["0 3 * *", /5 fields/],
+    ["60 * * * *", /minute/],
+    ["* 5-1 * * *", /hour/],
+    ["* * 0 * *", /day of month/],
+    ["*/0 * * * *", /minute/],
+    ["* * * * 7", /day of week/],
+  ])("rejects '%s'", (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe("nextRun", () => {
+  test("is strictly after the given time", () => {
+    expect(nextRun("*/15 * * * *", local(2024, 3, 5, 10, 15))).toEqual(local(2024, 3, 5, 10, 30));
+    expect(nextRun("*/15 * * * *", local(2024, 3, 5, 10, 16))).toEqual(local(2024, 3, 5, 10, 30));
+  });
+
+  test("skips weekends for a 1-5 day of week", () => {
+    // 2024-03-08 is a Friday
+    expect(nextRun("0 9 * * 1-5", local(2024, 3, 8, 10))).toEqual(local(2024, 3, 11, 9));
+  });
+
+  test("matches either day field when both are restricted", () => {
+    // The 15th, or any Monday: from Wednesday 2024-03-06 the next Monday (11th) comes first
+    expect(nextRun("0 3 15 * 1", local(2024, 3, 6))).toEqual(local(2024, 3, 11, 3));
+    // From Tuesday 2024-03-12 the 15th (a Friday) comes before the next Monday
+    expect(nextRun("0 3 15 * 1", local(2024, 3, 12))).toEqual(local(2024, 3, 15, 3));
+  });
+
+  test("uses only the restricted day field when the other is *", () => {
+    expect(nextRun("0 3 15 * *", local(2024, 3, 6))).toEqual(local(2024, 3, 15, 3));
+    expect(nextRun("0 3 * * 1", local(2024, 3, 12))).toEqual(local(2024, 3, 18, 3));
+  });
+
+  test("rolls over a month boundary", () => {
+    expect(nextRun("30 2 1 * *", local(2024, 1, 31, 23, 50))).toEqual(local(2024, 2, 1, 2, 30));
+    expect(nextRun("0 3 31 * *", local(2024, 4, 1))).toEqual(local(2024, 5, 31, 3));
+  });
+
+  test("rolls over a year boundary for a yearly schedule", () => {
+    expect(nextRun("0 3 15 3 *", local(2024, 3, 16))).toEqual(local(2025, 3, 15, 3));
+  });
+
+  test("throws for a date that never exists", () => {
+    expect(() => nextRun("0 0 30 2 *", local(2024, 1, 1))).toThrow(/never matches/);
+  });
+});
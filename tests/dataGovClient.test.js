@@ -0,0 +1,55 @@
+const path = require("path");
+
+const { datastoreSearch } = require("../services/dataGovClient.service");
+const { fetchAllRecords } = require("../services/etl.service");
+
+const MEDIAN_INCOME = "d_9cd9c40f22a4e45cac8f8b9d895fd5ce";
+
+const env = { ...process.env };
+
+beforeEach(() => {
+  process.env.DATA_GOV_MODE = "replay";
+  process.env.DATA_GOV_FIXTURES_DIR = path.resolve(__dirname, "..", "fixtures", "datagov");
+  global.fetch = jest.fn(async () => {
+    throw new Error("replay mode must not touch the network");
+  });
+});
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+describe("datastoreSearch in replay mode", () => {
+  test("serves the recorded response without calling data.gov.sg", async () => {
+    const body = await datastoreSearch({ resourceId: MEDIAN_INCOME, limit: 1000, offset: 0 });
+
+    expect(body.success).toBe(true);
+    expect(body.result.total).toBe(body.result.records.length);
+    expect(body.result.records[0]).toMatchObject({ year: "2013" });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("says how to record a fixture that doesn't exist", async () => {
+    await expect(
+      datastoreSearch({ resourceId: MEDIAN_INCOME, limit: 1000, offset: 1000 })
+    ).rejects.toThrow(/DATA_GOV_MODE=record/);
+  });
+
+  test.each(["../../package", "d_1/../../../package", "/etc/passwd"])(
+    "refuses a resource id that escapes the fixtures dir (%s)",
+    async (resourceId) => {
+      await expect(datastoreSearch({ resourceId, limit: 1000, offset: 0 })).rejects.toThrow(
+        /Invalid resource id/
+      );
+    }
+  );
+});
+
+describe("fetchAllRecords in replay mode", () => {
+  test("loads a whole dataset from fixtures", async () => {
+    const { total, records } = await fetchAllRecords({ resource_id: MEDIAN_INCOME });
+
+    expect(total).toBe(12);
+    expect(records.map((r) => r.year)).toContain("2024");
+  });
+});
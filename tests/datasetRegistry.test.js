@@ -0,0 +1,24 @@
+const DatasetRegistry = require("../models/datasetRegistry.model");
+
+const dataset = (overrides = {}) =>
+  new DatasetRegistry({
+    name: "medianincome",
+    resource_id: "d_9cd9c40f22a4e45cac8f8b9d895fd5ce",
+    collectionName: "median_monthly_income",
+    naturalKey: ["year"],
+    ...overrides,
+  });
+
+describe("dataset_registry validation", () => {
+  test("accepts a data.gov.sg resource id", () => {
+    expect(dataset().validateSync()).toBeUndefined();
+  });
+
+  test.each(["../../x", "d_9cd9c40f", "D_9CD9C40F22A4E45CAC8F8B9D895FD5CE", "d_9cd9c40f22a4e45cac8f8b9d895fd5ce/.."])(
+    "rejects resource_id %s",
+    (resource_id) => {
+      const error = dataset({ resource_id }).validateSync();
+      expect(error.errors.resource_id).toBeDefined();
+    }
+  );
+});
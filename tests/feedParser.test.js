@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+const { parseFeed } = require("../utils/feedParser");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "..", "fixtures", "feeds", name), "utf-8");
+
+describe("parseFeed", () => {
+  describe("RSS 2.0", () => {
+    const feed = parseFeed(fixture("straitstimes-business.rss.xml"));
+
+    test("reads the channel title and every item", () => {
+      expect(feed.format).toBe("rss");
+      expect(feed.title).toBe("The Straits Times Business");
+      expect(feed.items).toHaveLength(3);
+    });
+
+    test("uses the guid as id and the link as url when the guid isn't a permalink", () => {
+      expect(feed.items[0]).toEqual({
+        id: "st-2024-03-001",
+        title: "Tech firms announce hiring freeze as demand for software engineers cools",
+        description:
+          "Several technology companies in Singapore said they would pause hiring, citing weaker demand.",
+        url: "https://www.straitstimes.com/business/tech-firms-hiring-freeze?utm_source=rss",
+        publishedAt: new Date("2024-03-04T00:30:00Z"),
+      });
+    });
+
+    test("decodes entities in plain descriptions", () => {
+      expect(feed.items[1].description).toBe(
+        "Fresh graduates from the two universities reported median gross monthly salaries above $4,500 & strong employment."
+      );
+    });
+
+    test("falls back to content:encoded and dc:date, and to the link as id", () => {
+      const item = feed.items[2];
+      expect(item.id).toBe("https://www.straitstimes.com/business/banks-expand-wealth-management");
+      expect(item.description).toBe(
+        "Local banks are adding relationship managers as assets under management grow."
+      );
+      expect(item.publishedAt).toEqual(new Date("2024-02-20T01:15:00Z"));
+    });
+  });
+
+  describe("Atom", () => {
+    const feed = parseFeed(fixture("mom-news.atom.xml"));
+
+    test("reads the feed title and every entry", () => {
+      expect(feed.format).toBe("atom");
+      expect(feed.title).toBe("Ministry of Manpower - Newsroom");
+      expect(feed.items).toHaveLength(2);
+    });
+
+    test("prefers the alternate link and the published date", () => {
+      expect(feed.items[0]).toEqual({
+        id: "tag:mom.gov.sg,2024:lmr-q4-2023",
+        title: "Labour market remains resilient with no major retrenchments in Q4 2023",
+        description:
+          "Total employment grew and retrenchments stayed low, led by the finance and ICT sectors.",
+        url: "https://www.mom.gov.sg/newsroom/press-releases/2024/0315-labour-market-report-q4-2023",
+        publishedAt: new Date("2024-03-15T02:00:00Z"),
+      });
+    });
+
+    test("skips enclosure links and falls back to content and updated", () => {
+      const entry = feed.items[1];
+      expect(entry.url).toBe("https://www.mom.gov.sg/newsroom/healthcare-demand");
+      expect(entry.title).toBe("Demand for nurses & healthcare workers continues to rise");
+      expect(entry.description).toBe("Job vacancies in healthcare remain high as hospitals expand.");
+      expect(entry.publishedAt).toEqual(new Date("2024-03-01T01:00:00Z"));
+    });
+  });
+
+  test("rejects documents that aren't feeds", () => {
+    expect(() => parseFeed("<html><body>Not a feed</body></html>")).toThrow(
+      "Document is not an RSS or Atom feed."
+    );
+  });
+});
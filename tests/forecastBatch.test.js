@@ -0,0 +1,36 @@
+jest.mock("../services/jobQueue.service", () => ({
+  createJobQueue: () => ({
+    enqueue: async (fields, worker) => ({
+      ...fields,
+      result: await worker({ jobId: "job-1", report: async () => {}, error: async () => {} }),
+    }),
+    getJob: jest.fn(),
+    markInterrupted: jest.fn(),
+  }),
+}));
+jest.mock("../services/ges.service", () => ({
+  getGesSummary: async () => [
+    { university: "NUS", school: "Computing", degree: "Computer Science", recordCount: 8 },
+    { university: "NUS", school: "Computing", degree: "Information Systems", recordCount: 8 },
+    { university: "SMU", school: "Accountancy", degree: "Accountancy", recordCount: 8 },
+  ],
+}));
+jest.mock("../services/forecastRuns.service", () => ({
+  getDataVersion: jest.fn(async () => ({ news: "news:42" })),
+  getOrRunForecast: jest.fn(async () => ({ cached: true })),
+}));
+
+const { getDataVersion, getOrRunForecast } = require("../services/forecastRuns.service");
+const { enqueueBatchForecast } = require("../services/forecastBatch.service");
+
+describe("enqueueBatchForecast", () => {
+  test("works out the data version once and shares it with every degree", async () => {
+    const job = await enqueueBatchForecast();
+
+    expect(job.result).toMatchObject({ combos_processed: 3, forecasts_cached: 3 });
+    expect(getDataVersion).toHaveBeenCalledTimes(1);
+    for (const [, options] of getOrRunForecast.mock.calls) {
+      expect(options.dataVersion).toEqual({ news: "news:42" });
+    }
+  });
+});
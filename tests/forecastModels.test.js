@@ -0,0 +1,85 @@
+const {
+  FORECAST_MODELS,
+  errorMetrics,
+  fitStatistics,
+  inSampleValue,
+  selectModel,
+} = require("../services/forecastModels.service");
+
+const FEATURES = ["national_median"];
+
+// A steadily rising salary series with a macro input that rises alongside it.
+const history = (years) =>
+  Array.from({ length: years }, (_, i) => ({
+    year: 2013 + i,
+    y: 3200 + 120 * i + (i % 2 ? 40 : -40),
+    national_median: 4000 + 150 * i,
+  }));
+
+const candidate = (selection, name) => selection.candidates.find((c) => c.model === name);
+
+describe("errorMetrics", () => {
+  test("leaves pairs with a zero actual out of MAPE", () => {
+    const metrics = errorMetrics([
+      { actual: 0, predicted: 1 },
+      { actual: 10, predicted: 11 },
+    ]);
+    expect(metrics.mape).toBeCloseTo(10);
+    expect(metrics.mae).toBe(1);
+  });
+
+  test("reports no MAPE when every actual is zero", () => {
+    expect(errorMetrics([{ actual: 0, predicted: 0.5 }]).mape).toBeNull();
+  });
+});
+
+describe("selectModel backtest", () => {
+  test("starts each model at the first year it has enough earlier years for", () => {
+    const { candidates } = selectModel(history(8), FEATURES);
+    const foldYears = (name) => candidate({ candidates }, name).folds.map((f) => f.year);
+
+    expect(foldYears("linear_trend")).toEqual([2015, 2016, 2017, 2018, 2019, 2020]);
+    expect(foldYears("holt")).toEqual([2016, 2017, 2018, 2019, 2020]);
+    expect(foldYears("ridge")).toEqual([2016, 2017, 2018, 2019, 2020]);
+    // Needing 7 points only limits this model's own folds, not everyone else's
+    expect(foldYears("multivariate_regression")).toEqual([2019, 2020]);
+  });
+
+  test("scores Holt on one-step-ahead forecasts, not backward extrapolation", () => {
+    const rows = history(6);
+    const holt = candidate(selectModel(rows, FEATURES), "holt");
+    holt.folds.forEach((fold) => {
+      const actual = rows.find((r) => r.year === fold.year).y;
+      expect(Math.abs(fold.predicted - actual)).toBeLessThan(400);
+    });
+  });
+
+  test("backtests a zero-rate metric without an infinite MAPE", () => {
+    const rows = history(5).map((row) => ({ ...row, y: row.year === 2016 ? 0 : 5 }));
+    const linear = candidate(selectModel(rows, FEATURES), "linear_trend");
+    expect(linear.folds.map((f) => f.actual)).toEqual([5, 0, 5]);
+    expect(Number.isFinite(linear.mape)).toBe(true);
+  });
+});
+
+describe("Holt in-sample values", () => {
+  const holt = FORECAST_MODELS.find((m) => m.name === "holt");
+  // Flat for four years, then a step up that Holt only learns about as it happens.
+  const rows = [3000, 3000, 3000, 3000, 4000, 4000, 4000, 4000].map((y, i) => ({
+    year: 2013 + i,
+    y,
+  }));
+
+  test("are one-step-ahead smoothed forecasts, not a line back from the last year", () => {
+    const fitted = holt.fit(rows, []);
+    expect(inSampleValue(fitted, rows[0])).toBeNull();
+    expect(inSampleValue(fitted, rows[2])).toBeCloseTo(3000);
+    expect(fitted.predict(rows[2])).not.toBeCloseTo(3000);
+  });
+
+  test("fit statistics leave out the first year", () => {
+    const stats = fitStatistics(holt.fit(rows, []), rows);
+    expect(Number.isFinite(stats.rmse)).toBe(true);
+    expect(Number.isFinite(stats.r2)).toBe(true);
+  });
+});
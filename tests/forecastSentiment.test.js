@@ -0,0 +1,43 @@
+jest.mock("../models/flexibleData.model", () => () => ({}));
+
+const { boundedAdjustment, getSentimentConfig } = require("../services/forecastSentiment.service");
+
+const SETTINGS = [
+  "FORECAST_SENTIMENT_WINDOW_DAYS",
+  "FORECAST_SENTIMENT_MIN_ARTICLES",
+  "FORECAST_SENTIMENT_MAX_ADJUSTMENT",
+  "FORECAST_SENTIMENT_SCALE",
+];
+
+afterEach(() => SETTINGS.forEach((name) => delete process.env[name]));
+
+describe("getSentimentConfig", () => {
+  test("uses the defaults when nothing is set", () => {
+    expect(getSentimentConfig()).toEqual({
+      window_days: 180,
+      min_articles: 3,
+      max_adjustment: 0.05,
+      scale: 0.5,
+    });
+  });
+
+  test("keeps the maximum adjustment below 1 so salaries can't go negative", () => {
+    process.env.FORECAST_SENTIMENT_MAX_ADJUSTMENT = "1.5";
+    const config = getSentimentConfig();
+
+    expect(config.max_adjustment).toBeLessThan(1);
+    expect(1 + boundedAdjustment(-100, config)).toBeGreaterThan(0);
+  });
+
+  test("falls back to the default for a zero window or scale", () => {
+    process.env.FORECAST_SENTIMENT_WINDOW_DAYS = "0";
+    process.env.FORECAST_SENTIMENT_SCALE = "0";
+    expect(getSentimentConfig()).toMatchObject({ window_days: 180, scale: 0.5 });
+  });
+
+  test("falls back to the default for negative or unparseable values", () => {
+    process.env.FORECAST_SENTIMENT_MAX_ADJUSTMENT = "-0.2";
+    process.env.FORECAST_SENTIMENT_MIN_ARTICLES = "lots";
+    expect(getSentimentConfig()).toMatchObject({ max_adjustment: 0.05, min_articles: 3 });
+  });
+});
@@ -0,0 +1,54 @@
+const mockRecords = [];
+const mockModel = {
+  find: jest.fn(() => ({ sort: () => ({ lean: async () => mockRecords }) })),
+};
+jest.mock("../models/flexibleData.model", () => () => mockModel);
+
+const { compareDegrees } = require("../services/ges.service");
+
+const NUS_CS = { university: "NUS", school: "School of Computing", degree: "Computer Science" };
+const SMU_ACC = { university: "SMU", school: "School of Accountancy", degree: "Accountancy" };
+
+const record = (degree, year, salary, employment = 90) => ({
+  ...degree,
+  year: String(year),
+  gross_monthly_median: String(salary),
+  employment_rate_overall: String(employment),
+});
+
+beforeEach(() => {
+  mockRecords.length = 0;
+});
+
+describe("compareDegrees rankings", () => {
+  test("ranks salaries on the latest year both degrees share", async () => {
+    // SMU's 2023 salary is higher than NUS's 2022 one, but in 2022 NUS paid more.
+    mockRecords.push(
+      record(NUS_CS, 2021, 5000),
+      record(NUS_CS, 2022, 5500, 95),
+      record(SMU_ACC, 2021, 4000),
+      record(SMU_ACC, 2022, 4200, 92),
+      record(SMU_ACC, 2023, 6000, 99)
+    );
+    const result = await compareDegrees([NUS_CS, SMU_ACC]);
+
+    expect(result.ranked_year).toBe(2022);
+    const [nus, smu] = result.degrees;
+    expect(nus.latest.year).toBe(2022);
+    expect(smu.latest.year).toBe(2023);
+    expect(nus.ranks.gross_monthly_median).toBe(1);
+    expect(smu.ranks.gross_monthly_median).toBe(2);
+    expect(nus.ranks.employment_rate_overall).toBe(1);
+  });
+
+  test("leaves point ranks null when the degrees share no year", async () => {
+    mockRecords.push(record(NUS_CS, 2020, 5000), record(SMU_ACC, 2023, 6000));
+    const result = await compareDegrees([NUS_CS, SMU_ACC]);
+
+    expect(result.ranked_year).toBeNull();
+    result.degrees.forEach((degree) => {
+      expect(degree.ranks.gross_monthly_median).toBeNull();
+      expect(degree.ranks.employment_rate_overall).toBeNull();
+    });
+  });
+});
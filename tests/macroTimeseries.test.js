@@ -0,0 +1,36 @@
+const mockCollection = {
+  createIndex: jest.fn(async () => {}),
+  bulkWrite: jest.fn(async () => {}),
+  deleteMany: jest.fn(async () => {}),
+};
+jest.mock("../models/flexibleData.model", () => () => ({ collection: mockCollection }));
+
+const { rebuildTimeseries } = require("../services/macro.service");
+
+const UNEMPLOYMENT = { name: "unemployment" };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe("rebuildTimeseries", () => {
+  test("replaces the dataset's observations with the new load", async () => {
+    const written = await rebuildTimeseries(UNEMPLOYMENT, [
+      { DataSeries: "Total Unemployment Rate", 2023: "1.9", 2024: "2.0" },
+    ]);
+
+    expect(written).toBe(2);
+    expect(mockCollection.bulkWrite).toHaveBeenCalledTimes(1);
+    expect(mockCollection.deleteMany).toHaveBeenCalledWith(
+      expect.objectContaining({ dataset: "unemployment" })
+    );
+  });
+
+  test("keeps the existing observations when nothing could be parsed", async () => {
+    const written = await rebuildTimeseries(UNEMPLOYMENT, [
+      { DataSeries: "Total Unemployment Rate", "Year 2023": "1.9", "Year 2024": "n.a." },
+    ]);
+
+    expect(written).toBe(0);
+    expect(mockCollection.bulkWrite).not.toHaveBeenCalled();
+    expect(mockCollection.deleteMany).not.toHaveBeenCalled();
+  });
+});
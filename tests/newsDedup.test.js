@@ -0,0 +1,143 @@
+const mockModel = {
+  collection: { createIndex: jest.fn(async () => {}) },
+  find: jest.fn(),
+  insertMany: jest.fn(async (docs) => docs.map((doc, i) => ({ ...doc, _id: `new-${i}` }))),
+  bulkWrite: jest.fn(async () => {}),
+};
+jest.mock("../models/flexibleData.model", () => () => mockModel);
+
+const { canonicalizeUrl, fingerprints, upsertArticles } = require("../services/news.service");
+
+const article = (overrides = {}) => ({
+  title: "Fresh graduates see higher starting salaries in 2023 survey",
+  content: "Median gross monthly salaries rose across most degrees.",
+  url: "https://www.straitstimes.com/singapore/ges-2023-salaries",
+  publishedAt: new Date("2024-02-23T10:00:00Z"),
+  ...overrides,
+});
+
+// An article as news_raw stores it, with its dedup keys.
+const stored = (overrides = {}) => {
+  const doc = article(overrides);
+  return { _id: "stored-1", ...doc, url_canonical: canonicalizeUrl(doc.url), ...fingerprints(doc) };
+};
+
+const storeHolds = (docs) => {
+  mockModel.find.mockReturnValue({ lean: async () => docs });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  storeHolds([]);
+});
+
+describe("canonicalizeUrl", () => {
+  test("drops tracking parameters, www, fragments and trailing slashes", () => {
+    expect(
+      canonicalizeUrl("http://WWW.StraitsTimes.com/business/story/?utm_source=rss&b=2&a=1#top")
+    ).toBe("https://straitstimes.com/business/story?a=1&b=2");
+  });
+
+  test("returns null for anything that isn't an http(s) URL", () => {
+    expect(canonicalizeUrl("not a url")).toBeNull();
+    expect(canonicalizeUrl("ftp://example.com/story")).toBeNull();
+    expect(canonicalizeUrl(undefined)).toBeNull();
+  });
+});
+
+describe("fingerprints", () => {
+  test("match regardless of case, punctuation and title word order", () => {
+    const a = fingerprints({ title: "Banks expand wealth-management teams", content: "Body." });
+    const b = fingerprints({ title: "banks EXPAND wealth management teams!", content: "body" });
+    const reordered = fingerprints({ title: "Wealth management teams: banks expand" });
+    expect(a.content_fingerprint).toBe(b.content_fingerprint);
+    expect(a.title_fingerprint).toBe(reordered.title_fingerprint);
+  });
+
+  test("leave out the content fingerprint for articles without a body", () => {
+    expect(fingerprints({ title: "Morning Briefing: markets and jobs" }).content_fingerprint).toBeNull();
+  });
+
+  test("leave out the title fingerprint for titles too short to compare", () => {
+    expect(fingerprints({ title: "Markets close" }).title_fingerprint).toBeNull();
+  });
+});
+
+describe("upsertArticles", () => {
+  test("inserts new articles and skips repeats within the batch", async () => {
+    const result = await upsertArticles([
+      article(),
+      article({ url: "https://straitstimes.com/singapore/ges-2023-salaries?utm_medium=feed" }),
+    ]);
+
+    expect(result).toMatchObject({ new: 1, merged: 0, skipped: 1 });
+    expect(mockModel.insertMany.mock.calls[0][0][0]).toMatchObject({
+      url_canonical: "https://straitstimes.com/singapore/ges-2023-salaries",
+    });
+  });
+
+  test("skips an exact re-upload of a stored article", async () => {
+    storeHolds([stored()]);
+    const result = await upsertArticles([article()]);
+
+    expect(result).toMatchObject({ new: 0, merged: 0, skipped: 1 });
+    expect(mockModel.insertMany).not.toHaveBeenCalled();
+    expect(mockModel.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test("merges a copy from another URL, keeping the stored URL", async () => {
+    storeHolds([stored()]);
+    const result = await upsertArticles([
+      article({ url: "https://www.businesstimes.com.sg/ges-2023", source: "Business Times" }),
+    ]);
+
+    expect(result).toMatchObject({ new: 0, merged: 1, skipped: 0, mergedIds: ["stored-1"] });
+    const { update } = mockModel.bulkWrite.mock.calls[0][0][0].updateOne;
+    expect(update.$set.url).toBe("https://www.straitstimes.com/singapore/ges-2023-salaries");
+    expect(update.$set.url_canonical).toBe("https://straitstimes.com/singapore/ges-2023-salaries");
+    expect(update.$set.source).toBe("Business Times");
+    expect(update.$addToSet).toEqual({ alternate_urls: "https://www.businesstimes.com.sg/ges-2023" });
+  });
+
+  test("merges a re-headlined story published within a week", async () => {
+    storeHolds([stored()]);
+    const result = await upsertArticles([
+      article({
+        title: "2023 survey: fresh graduates see higher starting salaries",
+        content: "A different write-up of the same survey.",
+        url: "https://example.com/ges",
+        publishedAt: new Date("2024-02-25T10:00:00Z"),
+      }),
+    ]);
+    expect(result).toMatchObject({ new: 0, merged: 1 });
+  });
+
+  test("inserts a re-headlined story published more than a week later", async () => {
+    storeHolds([stored()]);
+    const result = await upsertArticles([
+      article({
+        title: "2023 survey: fresh graduates see higher starting salaries",
+        content: "A different write-up of the same survey.",
+        url: "https://example.com/ges",
+        publishedAt: new Date("2024-04-01T10:00:00Z"),
+      }),
+    ]);
+    expect(result).toMatchObject({ new: 1, merged: 0 });
+  });
+
+  test("keeps recurring title-only items a week apart as separate articles", async () => {
+    const briefing = (day, overrides = {}) =>
+      article({
+        title: "Morning Briefing: markets, jobs and the economy",
+        content: undefined,
+        description: undefined,
+        url: `https://example.com/briefing/2024-02-${day}`,
+        publishedAt: new Date(`2024-02-${day}T07:00:00Z`),
+        ...overrides,
+      });
+    storeHolds([stored(briefing("01"))]);
+    const result = await upsertArticles([briefing("09")]);
+
+    expect(result).toMatchObject({ new: 1, merged: 0, skipped: 0 });
+  });
+});
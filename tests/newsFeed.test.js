@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+
+jest.mock("../models/newsFeed.model", () => ({ updateOne: jest.fn() }));
+jest.mock("../services/news.service", () => ({ upsertArticles: jest.fn() }));
+jest.mock("../services/sentiment.service", () => ({ withSentiment: (article) => article }));
+jest.mock("../services/sentimentLexicon.service", () => ({ ensureLexicon: async () => {} }));
+jest.mock("../services/newsTagging.service", () => ({
+  withTags: (article) => article,
+  ensureDictionaries: async () => {},
+}));
+// Fixture hosts resolve to a public address without touching the network.
+jest.mock("dns", () => ({
+  promises: { lookup: jest.fn(async () => [{ address: "93.184.216.34", family: 4 }]) },
+}));
+
+const NewsFeed = require("../models/newsFeed.model");
+const { upsertArticles } = require("../services/news.service");
+const { pollFeed } = require("../services/newsFeed.service");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "..", "fixtures", "feeds", name), "utf-8");
+
+// Serves a fixture for every fetch, the way the feed's server would.
+const serve = (xml) => {
+  global.fetch = jest.fn(async () => new Response(xml, { status: 200 }));
+};
+
+const stFeed = (cursor) => ({
+  _id: "feed-1",
+  name: "st-business",
+  url: "https://www.straitstimes.com/business/rss.xml",
+  source: "",
+  cursor,
+});
+
+// The cursor pollFeed wrote back to news_feeds.
+const savedCursor = () => NewsFeed.updateOne.mock.calls.at(-1)[1].$set.cursor;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  upsertArticles.mockImplementation(async (articles) => ({
+    new: articles.length,
+    merged: 0,
+    skipped: 0,
+  }));
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+describe("pollFeed", () => {
+  test("ingests every item on the first poll and maps it onto news_raw", async () => {
+    serve(fixture("straitstimes-business.rss.xml"));
+    const result = await pollFeed(stFeed(undefined));
+
+    expect(result).toMatchObject({ format: "rss", items_in_feed: 3, items_unseen: 3, new: 3 });
+    const articles = upsertArticles.mock.calls[0][0];
+    expect(articles[0]).toMatchObject({
+      title: "Tech firms announce hiring freeze as demand for software engineers cools",
+      url: "https://www.straitstimes.com/business/tech-firms-hiring-freeze?utm_source=rss",
+      publishedAt: new Date("2024-03-04T00:30:00Z"),
+      source: { name: "The Straits Times Business" },
+      provider: "rss",
+      feed: "st-business",
+      feed_item_id: "st-2024-03-001",
+    });
+  });
+
+  test("moves the cursor to the newest item and remembers the ids it saw", async () => {
+    serve(fixture("straitstimes-business.rss.xml"));
+    await pollFeed(stFeed(undefined));
+
+    const cursor = savedCursor();
+    expect(cursor.published_at).toEqual(new Date("2024-03-04T00:30:00Z"));
+    expect(cursor.item_ids).toEqual([
+      "st-2024-03-001",
+      "https://www.straitstimes.com/singapore/ges-2023-salaries",
+      "https://www.straitstimes.com/business/banks-expand-wealth-management",
+    ]);
+  });
+
+  test("a second poll with the saved cursor ingests nothing", async () => {
+    serve(fixture("straitstimes-business.rss.xml"));
+    await pollFeed(stFeed(undefined));
+    const cursor = savedCursor();
+    upsertArticles.mockClear();
+
+    const result = await pollFeed(stFeed(cursor));
+
+    expect(result).toMatchObject({ items_unseen: 0, new: 0, merged: 0, skipped: 0 });
+    expect(upsertArticles).not.toHaveBeenCalled();
+    expect(savedCursor()).toEqual(cursor);
+  });
+
+  test("only ingests items newer than the cursor date that it hasn't seen", async () => {
+    serve(fixture("mom-news.atom.xml"));
+    const result = await pollFeed({
+      ...stFeed({ published_at: new Date("2024-03-10T00:00:00Z"), item_ids: [] }),
+      name: "mom",
+      url: "https://www.mom.gov.sg/newsroom/feed.atom",
+    });
+
+    expect(result.items_unseen).toBe(1);
+    expect(upsertArticles.mock.calls[0][0].map((a) => a.feed_item_id)).toEqual([
+      "tag:mom.gov.sg,2024:lmr-q4-2023",
+    ]);
+    expect(upsertArticles.mock.calls[0][0][0].source).toEqual({
+      name: "Ministry of Manpower - Newsroom",
+    });
+  });
+
+  test("leaves the cursor alone and records the error when the feed can't be read", async () => {
+    serve("<html>Not a feed</html>");
+    await expect(pollFeed(stFeed(undefined))).rejects.toMatchObject({ status: 502 });
+
+    const update = NewsFeed.updateOne.mock.calls[0][1].$set;
+    expect(update).toMatchObject({ last_status: "failed" });
+    expect(update.cursor).toBeUndefined();
+  });
+
+  test("refuses feeds on private addresses without fetching them", async () => {
+    serve(fixture("straitstimes-business.rss.xml"));
+    await expect(
+      pollFeed({ ...stFeed(undefined), url: "http://169.254.169.254/latest/meta-data" })
+    ).rejects.toThrow("is not a public http(s) URL");
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("refuses redirects to private addresses", async () => {
+    global.fetch = jest.fn(
+      async () => new Response(null, { status: 302, headers: { location: "http://127.0.0.1/admin" } })
+    );
+    await expect(pollFeed(stFeed(undefined))).rejects.toThrow("is not a public http(s) URL");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
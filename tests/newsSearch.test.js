@@ -0,0 +1,50 @@
+const mockModel = {
+  collection: { createIndex: jest.fn(async () => {}) },
+  aggregate: jest.fn(async () => [{ data: [], total: [] }]),
+};
+jest.mock("../models/flexibleData.model", () => () => mockModel);
+
+const { buildNewsFilter, searchNews } = require("../services/news.service");
+
+describe("buildNewsFilter", () => {
+  test("rejects repeated parameters instead of passing arrays into the query", () => {
+    expect(() => buildNewsFilter({ q: ["jobs", "salaries"] })).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+    expect(() => buildNewsFilter({ provider: ["rss", "manual_upload"] })).toThrow(
+      "'provider' must be a single value."
+    );
+  });
+
+  test("combines filters", () => {
+    expect(buildNewsFilter({ q: " jobs ", provider: "rss" })).toEqual({
+      $and: [{ $text: { $search: "jobs" } }, { provider: "rss" }],
+    });
+  });
+});
+
+describe("searchNews sort", () => {
+  beforeEach(() => mockModel.aggregate.mockClear());
+
+  const sortStage = () =>
+    mockModel.aggregate.mock.calls[0][0].find((stage) => stage.$facet).$facet.data[0].$sort;
+
+  test("accepts allowed fields", async () => {
+    await searchNews({ sort: "sentiment_comparative", order: "asc" }, 1, 10);
+    expect(sortStage()).toEqual({ sentiment_comparative: 1 });
+  });
+
+  test.each([["$where"], ["passwordHash"], [["title", "url"]]])(
+    "rejects %p with 400",
+    async (sort) => {
+      await expect(searchNews({ sort }, 1, 10)).rejects.toMatchObject({ status: 400 });
+      expect(mockModel.aggregate).not.toHaveBeenCalled();
+    }
+  );
+
+  test("only sorts by relevance for keyword searches", async () => {
+    await expect(searchNews({ sort: "relevance" }, 1, 10)).rejects.toMatchObject({ status: 400 });
+    await searchNews({ q: "jobs" }, 1, 10);
+    expect(sortStage()).toEqual({ relevance: -1, publishedAt: -1 });
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock("dns", () => ({ promises: { lookup: jest.fn() } }));
+
+const dns = require("dns");
+const { isPrivateAddress, isPublicHttpUrl, assertPublicHttpUrl } = require("../utils/publicUrl");
+
+describe("isPrivateAddress", () => {
+  test.each([
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.5",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+  ])("%s is private", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111"])("%s is public", (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe("isPublicHttpUrl", () => {
+  test("accepts public http(s) URLs", () => {
+    expect(isPublicHttpUrl("https://www.straitstimes.com/rss.xml")).toBe(true);
+    expect(isPublicHttpUrl("http://93.184.216.34/feed")).toBe(true);
+  });
+
+  test.each([
+    "file:straitstimes-business.rss.xml",
+    "ftp://example.com/feed.xml",
+    "gopher://example.com",
+    "http://localhost:3000/api",
+    "http://api.localhost/feed",
+    "http://127.0.0.1:27017",
+    "http://[::1]/feed",
+    "http://169.254.169.254/latest/meta-data",
+    "not a url",
+  ])("rejects %s", (url) => {
+    expect(isPublicHttpUrl(url)).toBe(false);
+  });
+});
+
+describe("assertPublicHttpUrl", () => {
+  test("rejects hostnames that resolve to a private address", async () => {
+    dns.promises.lookup.mockResolvedValue([
+      { address: "93.184.216.34", family: 4 },
+      { address: "10.0.0.5", family: 4 },
+    ]);
+    await expect(assertPublicHttpUrl("https://internal.example.com/feed")).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  test("allows hostnames that only resolve to public addresses", async () => {
+    dns.promises.lookup.mockResolvedValue([{ address: "93.184.216.34", family: 4 }]);
+    await expect(assertPublicHttpUrl("https://example.com/feed")).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,49 @@
+const mockModel = {
+  collection: { createIndex: jest.fn(async () => {}) },
+  aggregate: jest.fn(async () => []),
+};
+jest.mock("../models/flexibleData.model", () => () => mockModel);
+
+const { getSentimentTrend } = require("../services/sentiment.service");
+
+const bucketsOf = (entries) =>
+  mockModel.aggregate.mockResolvedValue(
+    entries.map(([start, scores]) => ({ _id: new Date(start), scores }))
+  );
+
+describe("getSentimentTrend", () => {
+  test("fills empty buckets and keeps a rolling mean over the window", async () => {
+    bucketsOf([
+      ["2024-03-01T00:00:00Z", [1, 3]],
+      ["2024-03-03T00:00:00Z", [-2]],
+    ]);
+    const { window, data } = await getSentimentTrend({ interval: "day", window: "2" });
+
+    expect(window).toBe(2);
+    expect(data.map((d) => d.article_count)).toEqual([2, 0, 1]);
+    expect(data[1].rolling_mean_comparative).toBeCloseTo(2);
+    expect(data[2].rolling_mean_comparative).toBeCloseTo(-2);
+  });
+
+  test("rejects a range with too many buckets instead of building them", async () => {
+    bucketsOf([
+      ["2024-03-01T00:00:00Z", [1]],
+      ["2099-01-01T00:00:00Z", [1]],
+    ]);
+    await expect(getSentimentTrend({ interval: "day" })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test("allows a long range at a coarser interval", async () => {
+    bucketsOf([
+      ["2015-01-01T00:00:00Z", [1]],
+      ["2024-12-01T00:00:00Z", [1]],
+    ]);
+    const { data } = await getSentimentTrend({ interval: "month" });
+    expect(data).toHaveLength(120);
+  });
+
+  test("caps the rolling window", async () => {
+    bucketsOf([["2024-03-01T00:00:00Z", [1]]]);
+    expect((await getSentimentTrend({ window: "100000" })).window).toBe(52);
+  });
+});
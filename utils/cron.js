@@ -0,0 +1,106 @@
+// Minimal five-field cron support ("minute hour day-of-month month day-of-week")
+// for the in-process ETL scheduler. Supports *, numbers, ranges (1-5),
+// steps (*/15, 1-10/2) and comma-separated lists. Times are server-local.
+
+const FIELD_RANGES = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 6 },
+];
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start = min;
+    let end = max;
+
+    if (rangeText !== "*") {
+      const [from, to] = rangeText.split("-").map((v) => parseInt(v, 10));
+      start = from;
+      // "5/10" means "from 5 to the end in steps of 10", plain "5" is a single value
+      end = to !== undefined ? to : stepText !== undefined ? max : from;
+    }
+
+    if ([start, end, step].some(isNaN) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} field '${text}' in cron expression.`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+};
+
+/**
+ * Parses a cron expression into sets of allowed values per field.
+ * Throws if the expression is malformed.
+ */
+const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression '${expression}' must have 5 fields.`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((f, i) =>
+    parseField(f, FIELD_RANGES[i])
+  );
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Classic cron: when both day fields are restricted, either may match.
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*",
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const domMatch = cron.daysOfMonth.has(date.getDate());
+  const dowMatch = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+};
+
+/**
+ * Returns the first time strictly after `from` that matches the expression.
+ * @param {string} expression - A five-field cron expression.
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+const nextRun = (expression, from = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Five years is plenty for any sensible schedule (and catches "30 Feb").
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression '${expression}' never matches.`);
+};
+
+module.exports = { parseCron, nextRun };
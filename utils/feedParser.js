@@ -0,0 +1,121 @@
+const { XMLParser } = require("fast-xml-parser");
+
+// Parses RSS 2.0, RSS 1.0 (RDF) and Atom documents into one plain shape:
+//   { title, items: [{ id, title, description, url, publishedAt }] }
+// Feeds are messy, so every field is optional and missing values come back as null.
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  textNodeName: "#text",
+  parseTagValue: false, // keep "2024" as a string, never a number
+  trimValues: true,
+  isArray: (name) => ["item", "entry", "link"].includes(name),
+});
+
+const HTML_ENTITIES = {
+  "&nbsp;": " ",
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&apos;": "'",
+};
+
+// Text content of a node that may be a string, { "#text": ... } or missing.
+const text = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === "object") return text(node["#text"]);
+  const value = String(node).trim();
+  return value === "" ? null : value;
+};
+
+// Descriptions often carry HTML; keep only the readable text.
+const plainText = (node) => {
+  const value = text(node);
+  if (!value) return null;
+  return value
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(nbsp|amp|lt|gt|quot|apos|#39);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/\s+/g, " ")
+    .trim() || null;
+};
+
+const date = (node) => {
+  const value = text(node);
+  if (!value) return null;
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Atom entries list several <link>s; the article is rel="alternate" (the default).
+const atomLink = (links = []) => {
+  const alternate =
+    links.find((link) => !link["@_rel"] || link["@_rel"] === "alternate") || links[0];
+  return alternate ? text(alternate["@_href"]) : null;
+};
+
+const rssItem = (item) => {
+  const url = text((item.link || [])[0]);
+  const id = text(item.guid) || url;
+  return {
+    id,
+    title: plainText(item.title),
+    description: plainText(item.description) || plainText(item["content:encoded"]),
+    url: url || (item.guid && item.guid["@_isPermaLink"] !== "false" ? text(item.guid) : null),
+    publishedAt: date(item.pubDate) || date(item["dc:date"]),
+  };
+};
+
+const atomEntry = (entry) => {
+  const url = atomLink(entry.link);
+  return {
+    id: text(entry.id) || url,
+    title: plainText(entry.title),
+    description: plainText(entry.summary) || plainText(entry.content),
+    url,
+    publishedAt: date(entry.published) || date(entry.updated),
+  };
+};
+
+/**
+ * Parses an RSS or Atom document.
+ * @param {string} xml
+ * @returns {{ format: string, title: string|null, items: object[] }}
+ * @throws {Error} When the document is not a recognisable feed.
+ */
+exports.parseFeed = (xml) => {
+  let doc;
+  try {
+    doc = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Feed is not valid XML: ${error.message}`);
+  }
+
+  if (doc.rss && doc.rss.channel) {
+    const channel = doc.rss.channel;
+    return {
+      format: "rss",
+      title: plainText(channel.title),
+      items: (channel.item || []).map(rssItem),
+    };
+  }
+  if (doc["rdf:RDF"]) {
+    const rdf = doc["rdf:RDF"];
+    return {
+      format: "rdf",
+      title: plainText(rdf.channel && rdf.channel.title),
+      items: (rdf.item || []).map(rssItem),
+    };
+  }
+  if (doc.feed) {
+    return {
+      format: "atom",
+      title: plainText(doc.feed.title),
+      items: (doc.feed.entry || []).map(atomEntry),
+    };
+  }
+  throw new Error("Document is not an RSS or Atom feed.");
+};
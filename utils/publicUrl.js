@@ -0,0 +1,112 @@
+const dns = require("dns");
+const net = require("net");
+
+// Guards server-side fetches of user-supplied URLs (news feeds) so they can only
+// reach the public internet: http(s) only, and never loopback, private, link-local
+// or other non-routable addresses, including via DNS names and redirects.
+
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24], // Documentation
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved and broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["2001:db8::", 32], // Documentation
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, "ipv6"));
+
+const MAX_REDIRECTS = 5;
+
+const forbidden = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * True for IP addresses a server-side fetch must not reach.
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+exports.isPrivateAddress = isPrivateAddress;
+
+// URL.hostname keeps the brackets around IPv6 literals.
+const bareHost = (hostname) => hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+/**
+ * Checks what can be told without DNS: an http(s) URL whose host is not
+ * localhost or a private IP literal. Used to validate feed URLs on save.
+ * @returns {boolean}
+ */
+exports.isPublicHttpUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    return false;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return false;
+  const host = bareHost(parsed.hostname);
+  if (host === "localhost" || host.endsWith(".localhost")) return false;
+  return !isPrivateAddress(host);
+};
+
+/**
+ * Resolves a URL's host and throws unless every address it resolves to is public.
+ * @throws {Error} status 400 for non-http(s) URLs and private targets.
+ */
+const assertPublicHttpUrl = async (url) => {
+  if (!exports.isPublicHttpUrl(url)) {
+    throw forbidden(`${url} is not a public http(s) URL.`);
+  }
+  const host = bareHost(new URL(url).hostname);
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw forbidden(`${url} resolves to a private address.`);
+  }
+};
+exports.assertPublicHttpUrl = assertPublicHttpUrl;
+
+/**
+ * fetch() for user-supplied URLs: every hop of a redirect chain is checked with
+ * assertPublicHttpUrl before it is requested.
+ * @param {string} url
+ * @param {object} [options] - Passed to fetch; `redirect` is always handled here.
+ * @returns {Promise<Response>}
+ */
+exports.fetchPublic = async (url, options = {}) => {
+  let target = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicHttpUrl(target);
+    const response = await fetch(target, { ...options, redirect: "manual" });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    target = new URL(location, target).toString();
+  }
+  throw new Error(`${url} redirected more than ${MAX_REDIRECTS} times.`);
+};